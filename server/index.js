@@ -8,7 +8,16 @@ import { existsSync } from 'fs';
 import authRoutes from './routes/auth.js';
 import adminRoutes from './routes/admin.js';
 import userRoutes from './routes/users.js';
+import orderRoutes from './routes/orders.js';
+import prescriptionRoutes from './routes/prescriptions.js';
+import productRoutes from './routes/products.js';
+import cartRoutes from './routes/cart.js';
+import onboardingRoutes from './routes/onboarding.js';
+import storeRoutes from './routes/stores.js';
+import accountRoutes from './routes/account.js';
 import SystemLog from './models/SystemLog.js';
+import { startJobs } from './utils/jobs.js';
+import { maintenanceGate } from './middleware/maintenance.js';
 
 dotenv.config();
 
@@ -76,10 +85,20 @@ const connectDB = async (retryCount = 0, maxRetries = 5) => {
   }
 };
 
+// Maintenance mode gate; admin routes stay reachable
+app.use('/api', maintenanceGate);
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/prescriptions', prescriptionRoutes);
+app.use('/api/products', productRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/onboarding', onboardingRoutes);
+app.use('/api/stores', storeRoutes);
+app.use('/api/account', accountRoutes);
 
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
@@ -121,7 +140,8 @@ mongoose.connection.on('error', (err) => {
 });
 
 // Initial connection attempt
-connectDB().then(() => {
+connectDB().then(async () => {
+  await startJobs();
   app.listen(port, () => {
     console.log(`Server is running on port ${port}`);
   });
@@ -1,5 +1,37 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { isSessionActive } from '../utils/sessions.js';
+
+const invalidToken = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_TOKEN';
+  return error;
+};
+
+// Verify an access token and load its user, rejecting tokens from before a
+// password change and from logged-out or revoked sessions. Resolves to
+// { user, decoded }; jwt errors are passed through.
+export const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Get user from database using userId from token
+  const user = await User.findById(decoded.userId).select('-password');
+  if (!user) {
+    throw invalidToken('Token is not valid - user not found');
+  }
+
+  // Sessions issued before a password reset are no longer valid
+  if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+    throw invalidToken('Token is no longer valid - password was changed');
+  }
+
+  // Logged-out and revoked sessions lose access immediately
+  if (!decoded.sid || !await isSessionActive(decoded.sid)) {
+    throw invalidToken('Session has been revoked');
+  }
+
+  return { user, decoded };
+};
 
 export const auth = async (req, res, next) => {
   try {
@@ -14,24 +46,16 @@ export const auth = async (req, res, next) => {
     }
 
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      // Get user from database using userId from token
-      const user = await User.findById(decoded.userId).select('-password');
-      
-      if (!user) {
-        return res.status(401).json({ 
-          message: 'Token is not valid - user not found',
-          needsRefresh: false 
-        });
-      }
+      const { user, decoded } = await verifyAccessToken(token);
 
       // Add user and decoded data to request
       req.user = {
         id: user._id,
         email: user.email,
-        role: user.role
+        role: user.role,
+        status: user.status,
+        emailVerified: user.isEmailVerified(),
+        permissions: user.effectivePermissions()
       };
       req.decodedToken = decoded;
       next();
@@ -44,7 +68,7 @@ export const auth = async (req, res, next) => {
       }
       
       res.status(401).json({ 
-        message: 'Token is not valid',
+        message: err.code === 'INVALID_TOKEN' ? err.message : 'Token is not valid',
         needsRefresh: false
       });
     }
@@ -72,4 +96,20 @@ export const requireAdmin = async (req, res, next) => {
   } catch (error) {
     res.status(500).json({ message: 'Server Error' });
   }
-};
\ No newline at end of file
+};
+
+// Accounts still awaiting email verification can browse but not transact
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      message: 'Please verify your email address before placing orders',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+};
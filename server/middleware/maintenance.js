@@ -0,0 +1,93 @@
+import User from '../models/User.js';
+import { verifyAccessToken } from './auth.js';
+import { getCachedSettings } from '../utils/settingsCache.js';
+
+// Paths (relative to /api) that stay reachable for everyone during
+// maintenance: the admin API guards itself, and these auth steps are only
+// reachable after a login that was itself allowed through
+const ALWAYS_ALLOWED = [
+  '/admin',
+  '/auth/login/2fa',
+  '/auth/2fa/setup',
+  '/auth/2fa/enable',
+  '/auth/refresh-token',
+  '/auth/logout'
+];
+
+const isAlwaysAllowed = (path) => ALWAYS_ALLOWED.some(prefix =>
+  path === prefix || path.startsWith(`${prefix}/`)
+);
+
+const isAllowedUser = (settings, userId) =>
+  !!userId && (settings.maintenance?.allowedUsers || []).some(id => id.equals(userId));
+
+// Let admins and allow-listed users through. The token goes through the
+// same checks as `auth`, and the role is read from the account rather than
+// the token, so revoked sessions and demoted admins lose the bypass at once.
+const hasBypassToken = async (req, settings) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  if (!token) {
+    return false;
+  }
+
+  try {
+    const { user } = await verifyAccessToken(token);
+    return ['admin', 'superadmin'].includes(user.role) || isAllowedUser(settings, user._id);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Admin logins, and logins by allow-listed users, still go through
+const isBypassLogin = async (req, settings) => {
+  if (req.method !== 'POST' || req.path !== '/auth/login') {
+    return false;
+  }
+
+  if (req.body?.role === 'admin') {
+    return true;
+  }
+
+  const allowedUsers = settings.maintenance?.allowedUsers || [];
+  if (!allowedUsers.length || typeof req.body?.email !== 'string') {
+    return false;
+  }
+
+  return !!await User.exists({
+    _id: { $in: allowedUsers },
+    email: req.body.email.toLowerCase()
+  });
+};
+
+// Answer customer and vendor API calls with 503 while maintenance is on
+export const maintenanceGate = async (req, res, next) => {
+  try {
+    const settings = await getCachedSettings();
+    const now = new Date();
+
+    if (!settings.isUnderMaintenance(now) || isAlwaysAllowed(req.path)) {
+      return next();
+    }
+
+    if (await hasBypassToken(req, settings) || await isBypassLogin(req, settings)) {
+      return next();
+    }
+
+    const endsAt = settings.maintenance?.endsAt;
+    const eta = endsAt && endsAt > now ? endsAt : null;
+    if (eta) {
+      res.set('Retry-After', String(Math.ceil((eta - now) / 1000)));
+    }
+
+    res.status(503).json({
+      message: settings.maintenance?.message || `${settings.siteName} is undergoing maintenance. Please try again later.`,
+      maintenance: true,
+      startsAt: settings.maintenance?.startsAt || null,
+      eta
+    });
+  } catch (error) {
+    // Never take the whole API down because the settings could not be read
+    console.error('Error checking maintenance mode:', error);
+    next();
+  }
+};
@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+import multer from 'multer';
+import path from 'path';
+
+// Build a multer instance that only accepts the given extensions (checked
+// against both the MIME type and the file name). Files are stored on disk
+// under `destination`, or kept in memory when no destination is given.
+export const createUpload = ({
+  destination,
+  filetypes,
+  fileSize = 5000000, // 5MB limit
+  errorMessage = 'File type not allowed!'
+}) => {
+  const storage = destination ? multer.diskStorage({
+    destination,
+    filename: function(req, file, cb) {
+      // The random part keeps uploads in the same millisecond apart
+      cb(null, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${path.extname(file.originalname)}`);
+    }
+  }) : multer.memoryStorage();
+
+  return multer({
+    storage: storage,
+    limits: { fileSize },
+    fileFilter: function(req, file, cb) {
+      const mimetype = filetypes.test(file.mimetype);
+      const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
+
+      if (mimetype && extname) {
+        return cb(null, true);
+      }
+      cb(new Error(errorMessage));
+    }
+  });
+};
+
+// Product images are kept in memory so utils/productImages.js can check
+// and resize them before anything is written to uploads/products
+export const productImageUpload = createUpload({
+  filetypes: /jpeg|jpg|png|webp/,
+  errorMessage: 'Only image files are allowed!'
+});
+
+// Store logos, served publicly from /uploads
+export const storeLogoUpload = createUpload({
+  destination: './uploads/stores',
+  filetypes: /jpeg|jpg|png|webp/,
+  fileSize: 2000000, // 2MB limit
+  errorMessage: 'Only image files are allowed!'
+});
+
+// Prescriptions contain medical data, so they are kept outside the public
+// uploads directory and only served through authorised routes
+export const prescriptionUpload = createUpload({
+  destination: './private/prescriptions',
+  filetypes: /jpeg|jpg|png|pdf/,
+  errorMessage: 'Only image or PDF prescriptions are allowed!'
+});
+
+// Vendor KYC documents (licences, tax certificates) are private too
+export const vendorDocumentUpload = createUpload({
+  destination: './private/vendor-documents',
+  filetypes: /jpeg|jpg|png|pdf/,
+  fileSize: 10000000, // 10MB limit
+  errorMessage: 'Only image or PDF documents are allowed!'
+});
+
+// CSV files for bulk imports, parsed straight from memory
+export const csvUpload = createUpload({
+  filetypes: /csv|vnd\.ms-excel|text\/plain/,
+  fileSize: 2000000, // 2MB limit
+  errorMessage: 'Only CSV files are allowed!'
+});
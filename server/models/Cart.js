@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    // Price last shown to the customer, used to detect price changes
+    price: {
+      type: Number,
+      min: 0
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }]
+}, {
+  timestamps: true
+});
+
+const Cart = mongoose.model('Cart', cartSchema);
+
+export default Cart;
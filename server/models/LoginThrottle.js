@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// Failed login counters, keyed per account (`account:<email>`) and per
+// client address (`ip:<address>`)
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date
+  },
+  // Idle counters are purged by MongoDB
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+
+export default LoginThrottle;
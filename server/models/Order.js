@@ -20,6 +20,31 @@ const orderSchema = new mongoose.Schema({
     price: {
       type: Number,
       required: true
+    },
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requiresPrescription: {
+      type: Boolean,
+      default: false
+    },
+    // Batches the quantity was taken from, so returns go back to the same lots
+    allocations: [{
+      batch: mongoose.Schema.Types.ObjectId,
+      lotNumber: String,
+      expiryDate: Date,
+      quantity: Number,
+      _id: false
+    }],
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'completed', 'cancelled'],
+      default: 'pending'
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now
     }
   }],
   status: {
@@ -38,6 +63,26 @@ const orderSchema = new mongoose.Schema({
     zipCode: String,
     country: String
   },
+  requiresPrescription: {
+    type: Boolean,
+    default: false
+  },
+  prescription: {
+    file: String,
+    originalName: String,
+    mimeType: String,
+    uploadedAt: Date,
+    status: {
+      type: String,
+      enum: ['awaitingUpload', 'pending', 'approved', 'rejected']
+    },
+    reason: String,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date
+  },
   paymentStatus: {
     type: String,
     enum: ['pending', 'paid', 'failed'],
@@ -53,6 +98,55 @@ const orderSchema = new mongoose.Schema({
   }
 });
 
+orderSchema.index({ 'products.vendor': 1, createdAt: -1 });
+orderSchema.index({ requiresPrescription: 1, 'prescription.status': 1 });
+
+// Allowed fulfilment transitions for a single order line
+const LINE_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+orderSchema.statics.canTransition = function(from, to) {
+  return (LINE_TRANSITIONS[from] || []).includes(to);
+};
+
+// Recompute the parent status from its lines inside MongoDB, so concurrent
+// vendor updates on the same order can't leave a stale status behind:
+// all lines cancelled -> cancelled, all lines finished -> completed,
+// any line in progress -> processing, otherwise pending.
+orderSchema.statics.syncStatus = function(orderId) {
+  const lineStatuses = '$products.status';
+  const allIn = (statuses) => ({
+    $allElementsTrue: [{
+      $map: { input: lineStatuses, as: 's', in: { $in: ['$$s', statuses] } }
+    }]
+  });
+  const anyIn = (statuses) => ({
+    $anyElementTrue: [{
+      $map: { input: lineStatuses, as: 's', in: { $in: ['$$s', statuses] } }
+    }]
+  });
+
+  return this.findOneAndUpdate({ _id: orderId }, [{
+    $set: {
+      status: {
+        $switch: {
+          branches: [
+            { case: allIn(['cancelled']), then: 'cancelled' },
+            { case: allIn(['completed', 'cancelled']), then: 'completed' },
+            { case: anyIn(['processing', 'completed']), then: 'processing' }
+          ],
+          default: 'pending'
+        }
+      },
+      updatedAt: '$$NOW'
+    }
+  }], { new: true });
+};
+
 // Update the updatedAt timestamp before saving
 orderSchema.pre('save', function(next) {
   this.updatedAt = new Date();
@@ -1,11 +1,76 @@
 import mongoose from 'mongoose';
 
+const batchSchema = new mongoose.Schema({
+  lotNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  manufactureDate: {
+    type: Date
+  },
+  expiryDate: {
+    type: Date,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set once the expired units have been recorded as a write-off
+  writtenOffAt: Date
+});
+
+const moderationEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['submitted', 'approved', 'rejected', 'changesRequested', 'resubmittedAfterEdit', 'discontinued'],
+    required: true
+  },
+  status: String,
+  reason: String,
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Fields a reviewer signs off on; changing them on a live listing sends it
+// back for review
+const REGULATED_FIELDS = ['name', 'description', 'specifications', 'manufacturer', 'category', 'requiresPrescription'];
+
+// `url` is the full-size image; `medium` and `thumbnail` are resized
+// variants. Images uploaded before variants existed only have `url`.
+const productImageSchema = new mongoose.Schema({
+  url: String,
+  medium: String,
+  thumbnail: String,
+  alt: String,
+  width: Number,
+  height: Number
+});
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
     required: true,
     trim: true
   },
+  // Vendor's own stock-keeping unit, unique within their catalog
+  sku: {
+    type: String,
+    trim: true,
+    maxlength: 64
+  },
   description: {
     type: String,
     required: true
@@ -29,16 +94,27 @@ const productSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  requiresPrescription: {
+    type: Boolean,
+    default: false
+  },
   stock: {
     type: Number,
     required: true,
     min: 0,
     default: 0
   },
-  images: [{
-    url: String,
-    alt: String
-  }],
+  // The vendor is alerted once stock falls to this level
+  reorderThreshold: {
+    type: Number,
+    min: 0,
+    default: 10
+  },
+  // Set when the low-stock alert went out; cleared once restocked
+  lowStockNotifiedAt: Date,
+  batches: [batchSchema],
+  // The first image is the primary one shown in listings
+  images: [productImageSchema],
   specifications: [{
     name: String,
     value: String
@@ -49,11 +125,24 @@ const productSchema = new mongoose.Schema({
     height: Number,
     weight: Number
   },
+  // draft -> pendingReview -> published (or changesRequested / rejected).
+  // outOfStock is a published product with nothing left to sell.
   status: {
     type: String,
-    enum: ['draft', 'published', 'outOfStock', 'discontinued'],
+    enum: ['draft', 'pendingReview', 'changesRequested', 'rejected', 'published', 'outOfStock', 'discontinued'],
     default: 'draft'
   },
+  moderation: {
+    submittedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    // Shown to the vendor for rejections, change requests and discontinuation
+    reason: String,
+    history: [moderationEventSchema]
+  },
   ratings: {
     average: { type: Number, default: 0 },
     count: { type: Number, default: 0 }
@@ -63,9 +152,21 @@ const productSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
-    rating: Number,
+    rating: {
+      type: Number,
+      min: 1,
+      max: 5
+    },
     comment: String,
-    date: { type: Date, default: Date.now }
+    date: { type: Date, default: Date.now },
+    updatedAt: Date,
+    hidden: { type: Boolean, default: false },
+    hiddenReason: String,
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: Date
   }],
   tags: [String],
   createdAt: {
@@ -80,9 +181,123 @@ const productSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Full-text search for the public catalog
+productSchema.index(
+  { name: 'text', description: 'text', manufacturer: 'text', tags: 'text' },
+  { weights: { name: 10, tags: 5, manufacturer: 3, description: 1 }, name: 'ProductTextIndex' }
+);
+productSchema.index({ status: 1, category: 1, price: 1 });
+productSchema.index({ status: 1, 'moderation.submittedAt': 1 });
+productSchema.index(
+  { vendor: 1, sku: 1 },
+  { unique: true, partialFilterExpression: { sku: { $type: 'string' } } }
+);
+
+productSchema.statics.regulatedFields = () => [...REGULATED_FIELDS];
+
+// Comparable form of a regulated value: specifications without their ids,
+// strings trimmed like the schema trims them
+const comparable = (field, value) => {
+  if (field === 'specifications') {
+    return JSON.stringify((value || []).map(({ name, value: specValue }) => ({ name, value: specValue })));
+  }
+  return typeof value === 'string' ? value.trim() : value ?? null;
+};
+
+// Regulated fields that a set of updates would actually change
+productSchema.methods.regulatedChanges = function(updates) {
+  return REGULATED_FIELDS.filter(field =>
+    field in updates && comparable(field, this.get(field)) !== comparable(field, updates[field])
+  );
+};
+
+// Batches that can still be sold, first-expiry-first-out
+productSchema.methods.sellableBatches = function(now = new Date()) {
+  return this.batches
+    .filter(batch => batch.quantity > 0 && batch.expiryDate > now)
+    .sort((a, b) => a.expiryDate - b.expiryDate);
+};
+
+// Recompute `stock` from unexpired batches for matching batch-tracked
+// products. Runs as a single pipeline update so it is safe alongside
+// concurrent allocations.
+productSchema.statics.syncBatchStock = async function(filter = {}) {
+  const result = await this.updateMany(
+    { ...filter, 'batches.0': { $exists: true } },
+    [{
+      $set: {
+        stock: {
+          $sum: {
+            $map: {
+              input: {
+                $filter: {
+                  input: '$batches',
+                  as: 'batch',
+                  cond: { $gt: ['$$batch.expiryDate', '$$NOW'] }
+                }
+              },
+              as: 'batch',
+              in: '$$batch.quantity'
+            }
+          }
+        }
+      }
+    }]
+  );
+  await this.syncStockStatus(filter);
+  return result;
+};
+
+// Move published products with nothing left to sell to outOfStock, and
+// back once restocked. Call after any update that bypasses save hooks.
+productSchema.statics.syncStockStatus = async function(filter = {}) {
+  const [soldOut, restocked] = await Promise.all([
+    this.updateMany({ ...filter, status: 'published', stock: { $lte: 0 } }, { $set: { status: 'outOfStock' } }),
+    this.updateMany({ ...filter, status: 'outOfStock', stock: { $gt: 0 } }, { $set: { status: 'published' } })
+  ]);
+  return { soldOut: soldOut.modifiedCount, restocked: restocked.modifiedCount };
+};
+
+// Recompute `ratings` from the visible reviews. Like syncBatchStock this is
+// a single pipeline update, so concurrent review changes can't drift the totals.
+productSchema.statics.syncRatings = function(productId) {
+  return this.findOneAndUpdate({ _id: productId }, [{
+    $set: {
+      ratings: {
+        $let: {
+          vars: {
+            visible: {
+              $filter: {
+                input: { $ifNull: ['$reviews', []] },
+                as: 'review',
+                cond: { $ne: ['$$review.hidden', true] }
+              }
+            }
+          },
+          in: {
+            average: { $ifNull: [{ $round: [{ $avg: '$$visible.rating' }, 2] }, 0] },
+            count: { $size: '$$visible' }
+          }
+        }
+      }
+    }
+  }], { new: true });
+};
+
 // Update the updatedAt field on save
 productSchema.pre('save', function(next) {
   this.updatedAt = new Date();
+
+  // Stock of batch-tracked products is derived from their sellable batches
+  if (this.batches.length) {
+    this.stock = this.sellableBatches().reduce((sum, batch) => sum + batch.quantity, 0);
+  }
+
+  if (this.status === 'published' && this.stock <= 0) {
+    this.status = 'outOfStock';
+  } else if (this.status === 'outOfStock' && this.stock > 0) {
+    this.status = 'published';
+  }
   next();
 });
 
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// One document per refresh token family: created at login, rotated on
+// every refresh, and revoked on logout, reuse detection or admin action
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // jti of the only refresh token in the family that may still be used
+  tokenId: {
+    type: String,
+    required: true
+  },
+  device: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are purged by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
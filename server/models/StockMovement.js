@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+// Signed direction of each movement type; adjustments go either way
+const MOVEMENT_DIRECTIONS = {
+  receipt: 1,
+  sale: -1,
+  return: 1,
+  adjustment: 0,
+  expiryWriteOff: -1,
+  damage: -1
+};
+
+// One change to a product's stock. Entries are never edited or removed:
+// corrections are recorded as new adjustments, so the ledger stays a
+// complete audit trail and its sum is the product's expected stock.
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(MOVEMENT_DIRECTIONS),
+    required: true
+  },
+  // Units added (positive) or removed (negative)
+  quantity: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: value => Number.isInteger(value) && value !== 0,
+      message: 'Quantity must be a non-zero whole number'
+    }
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  lotNumber: String,
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Who caused the change; empty for scheduled jobs
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ vendor: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 }, { sparse: true });
+
+stockMovementSchema.statics.movementTypes = function() {
+  return Object.keys(MOVEMENT_DIRECTIONS);
+};
+
+// Receipts and returns add stock; sales, write-offs and damage remove it
+stockMovementSchema.pre('validate', function(next) {
+  const direction = MOVEMENT_DIRECTIONS[this.type];
+  if (direction && Math.sign(this.quantity) !== direction) {
+    this.invalidate('quantity', `A ${this.type} must ${direction > 0 ? 'add' : 'remove'} stock`);
+  }
+  next();
+});
+
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Stock movements are append-only'));
+  }
+  next();
+});
+
+const rejectChange = function(next) {
+  next(new Error('Stock movements are append-only'));
+};
+
+stockMovementSchema.pre([
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'
+], rejectChange);
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+export default StockMovement;
@@ -9,6 +9,36 @@ const systemSettingsSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Scheduled maintenance window; customer and vendor APIs answer 503 while
+  // maintenanceMode is on or the current time falls inside the window
+  maintenance: {
+    message: { type: String, trim: true, maxlength: 500 },
+    startsAt: { type: Date },
+    endsAt: { type: Date },
+    // Users who keep full access during maintenance
+    allowedUsers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  },
+  // Admins and superadmins must enrol in two-factor authentication
+  requireAdminTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+  // Failed-login throttling and lockout thresholds
+  loginSecurity: {
+    // Failures within the window before an account is locked
+    maxFailedAttempts: { type: Number, min: 1, default: 5 },
+    // Failures from one IP address, across accounts, before it is locked
+    ipMaxFailedAttempts: { type: Number, min: 1, default: 20 },
+    lockoutMinutes: { type: Number, min: 1, default: 15 },
+    // Failures are forgotten after this long without another one
+    failureWindowMinutes: { type: Number, min: 1, default: 15 },
+    // After this many failures each attempt must wait, doubling every time
+    progressiveDelayAfter: { type: Number, min: 0, default: 3 },
+    progressiveDelaySeconds: { type: Number, min: 0, default: 2 }
+  },
   emailNotifications: {
     type: Boolean,
     default: true
@@ -30,6 +60,22 @@ const systemSettingsSchema = new mongoose.Schema({
   lastBackup: {
     type: Date
   },
+  logRetentionDays: {
+    type: Number,
+    min: 1,
+    default: 90
+  },
+  pendingOrderExpiryHours: {
+    type: Number,
+    min: 1,
+    default: 72
+  },
+  // Days between an account deletion request and anonymisation
+  accountDeletionGraceDays: {
+    type: Number,
+    min: 0,
+    default: 30
+  },
   customSettings: {
     type: Map,
     of: mongoose.Schema.Types.Mixed
@@ -47,6 +93,25 @@ systemSettingsSchema.statics.getInstance = async function() {
   return settings;
 };
 
+systemSettingsSchema.pre('validate', function(next) {
+  const { startsAt, endsAt } = this.maintenance || {};
+  if (startsAt && endsAt && endsAt <= startsAt) {
+    this.invalidate('maintenance.endsAt', 'Maintenance must end after it starts');
+  }
+  next();
+});
+
+// Whether maintenance is in force at `now`, either switched on by hand or
+// because a scheduled window is running
+systemSettingsSchema.methods.isUnderMaintenance = function(now = new Date()) {
+  if (this.maintenanceMode) {
+    return true;
+  }
+
+  const { startsAt, endsAt } = this.maintenance || {};
+  return !!startsAt && startsAt <= now && (!endsAt || now < endsAt);
+};
+
 const SystemSettings = mongoose.model('SystemSettings', systemSettingsSchema);
 
 export default SystemSettings;
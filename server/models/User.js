@@ -10,6 +10,11 @@ const statusHistorySchema = new mongoose.Schema({
   reason: {
     type: String
   },
+  // What happened, for entries that aren't plain status changes
+  // (e.g. vendor onboarding decisions)
+  action: {
+    type: String
+  },
   timestamp: {
     type: Date,
     default: Date.now
@@ -20,6 +25,27 @@ const statusHistorySchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const openingHoursSchema = new mongoose.Schema({
+  day: {
+    type: String,
+    enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
+    required: true
+  },
+  // 24-hour "HH:MM" in the store's local time
+  opens: {
+    type: String,
+    match: TIME_OF_DAY,
+    required: true
+  },
+  closes: {
+    type: String,
+    match: TIME_OF_DAY,
+    required: true
+  }
+}, { _id: false });
+
 const storeDetailsSchema = new mongoose.Schema({
   storeName: {
     type: String,
@@ -49,9 +75,141 @@ const storeDetailsSchema = new mongoose.Schema({
   active: {
     type: Boolean,
     default: false
+  },
+  // Weekly opening hours; days without an entry are closed
+  openingHours: [openingHoursSchema],
+  deliveryArea: {
+    // Distance from the store the vendor delivers to
+    radiusKm: { type: Number, min: 0 },
+    cities: [{ type: String, trim: true }],
+    postalCodes: [{ type: String, trim: true, uppercase: true }]
+  },
+  // Vendor-controlled temporary closure, separate from admin activation.
+  // A closure with reopensAt ends by itself once that time has passed.
+  closure: {
+    closed: { type: Boolean, default: false },
+    reason: { type: String, trim: true },
+    reopensAt: Date,
+    closedAt: Date
+  }
+}, { _id: false });
+
+const VENDOR_DOCUMENT_TYPES = [
+  'pharmacyLicence',
+  'taxCertificate',
+  'businessRegistration',
+  'proofOfAddress',
+  'other'
+];
+
+// Documents a vendor must upload before submitting for review
+const REQUIRED_VENDOR_DOCUMENTS = ['pharmacyLicence', 'taxCertificate'];
+
+const vendorDocumentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: VENDOR_DOCUMENT_TYPES,
+    required: true
+  },
+  file: {
+    type: String,
+    required: true
+  },
+  originalName: String,
+  mimeType: String,
+  size: Number,
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const onboardingCommentSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // 'vendor' notes on submission, 'admin' comments on decisions
+  from: {
+    type: String,
+    enum: ['vendor', 'admin'],
+    required: true
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
   }
 }, { _id: false });
 
+const onboardingSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['notSubmitted', 'submitted', 'changesRequested', 'approved', 'rejected'],
+    default: 'notSubmitted'
+  },
+  documents: [vendorDocumentSchema],
+  comments: [onboardingCommentSchema],
+  submittedAt: Date,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date
+}, { _id: false });
+
+// Default permissions granted by each role
+const ROLE_PERMISSIONS = {
+  user: {
+    manageUsers: false,
+    manageProducts: false,
+    manageOrders: false,
+    manageSettings: false,
+    promoteUsers: false,
+    viewAnalytics: false,
+    managePermissions: false
+  },
+  vendor: {
+    manageUsers: false,
+    manageProducts: true,
+    manageOrders: true,
+    manageSettings: false,
+    promoteUsers: false,
+    viewAnalytics: true,
+    managePermissions: false
+  },
+  admin: {
+    manageUsers: true,
+    manageProducts: true,
+    manageOrders: true,
+    manageSettings: true,
+    promoteUsers: false,
+    viewAnalytics: true,
+    managePermissions: false
+  },
+  superadmin: {
+    manageUsers: true,
+    manageProducts: true,
+    manageOrders: true,
+    manageSettings: true,
+    promoteUsers: true,
+    viewAnalytics: true,
+    managePermissions: true
+  }
+};
+
+const PERMISSION_KEYS = Object.keys(ROLE_PERMISSIONS.user);
+
+// Moving to a lower rank is a demotion, which drops custom grants
+const ROLE_RANKS = { user: 0, vendor: 0, admin: 1, superadmin: 2 };
+
+const defaultPermissions = (role) => ({ ...(ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS.user) });
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -98,6 +256,55 @@ const userSchema = new mongoose.Schema({
     }
   },
   statusHistory: [statusHistorySchema],
+  // Vendor KYC onboarding: licence documents and the admin review
+  onboarding: {
+    type: onboardingSchema,
+    default: undefined
+  },
+  // Only the SHA-256 hash of a reset token is stored
+  passwordReset: {
+    tokenHash: String,
+    expiresAt: Date,
+    requestedAt: Date
+  },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    // Encrypted TOTP secrets; pendingSecret holds one awaiting confirmation
+    secret: String,
+    pendingSecret: String,
+    recoveryCodes: [String],
+    enabledAt: Date,
+    // Last accepted TOTP time step, to reject replayed codes
+    lastUsedStep: Number
+  },
+  // Accounts created before email verification existed have no value here
+  // and are treated as verified
+  emailVerified: {
+    type: Boolean
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // Verification email sends, for rate limiting resends
+  emailVerification: {
+    lastSentAt: Date,
+    windowStartedAt: Date,
+    sentCount: { type: Number, default: 0 }
+  },
+  // Self-service account deletion: the account is anonymised once the
+  // grace period has passed unless the request is cancelled
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date,
+    reason: String
+  },
+  anonymisedAt: {
+    type: Date
+  },
+  // Tokens issued before this date are rejected
+  passwordChangedAt: {
+    type: Date
+  },
   lastLogin: {
     type: Date,
     default: Date.now
@@ -114,6 +321,14 @@ const userSchema = new mongoose.Schema({
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.passwordReset;
+  delete user.emailVerification;
+  if (user.onboarding?.documents) {
+    user.onboarding.documents = user.onboarding.documents.map(({ file, ...doc }) => doc);
+  }
+  if (user.twoFactor) {
+    user.twoFactor = { enabled: user.twoFactor.enabled, enabledAt: user.twoFactor.enabledAt };
+  }
   return user;
 };
 
@@ -216,60 +431,48 @@ userSchema.pre('save', async function(next) {
       }
     }
 
-    // Handle role-based validation
-    if (this.isModified('role') || (this.role === 'vendor' && this.isNew)) {
-      switch (this.role) {
-        case 'vendor':
-          if (!this.storeDetails || !this.storeDetails.storeName) {
-            throw new Error('Store details are required for vendor accounts');
-          }
-          this.permissions = {
-            manageUsers: false,
-            manageProducts: true,
-            manageOrders: true,
-            manageSettings: false,
-            promoteUsers: false,
-            viewAnalytics: true,
-            managePermissions: false
-          };
-          break;
-        case 'admin':
-          this.permissions = {
-            manageUsers: true,
-            manageProducts: true,
-            manageOrders: true,
-            manageSettings: true,
-            promoteUsers: false,
-            viewAnalytics: true,
-            managePermissions: false
-          };
-          break;
-        case 'superadmin':
-          this.permissions = {
-            manageUsers: true,
-            manageProducts: true,
-            manageOrders: true,
-            manageSettings: true,
-            promoteUsers: true,
-            viewAnalytics: true,
-            managePermissions: true
-          };
-          break;
-        default:
-          this.permissions = {
-            manageUsers: false,
-            manageProducts: false,
-            manageOrders: false,
-            manageSettings: false,
-            promoteUsers: false,
-            viewAnalytics: false,
-            managePermissions: false
-          };
+    // Vendors can't exist without a store
+    if ((this.isNew || this.isModified('role')) && this.role === 'vendor' &&
+        (!this.storeDetails || !this.storeDetails.storeName)) {
+      throw new Error('Store details are required for vendor accounts');
+    }
+
+    // New accounts get their role's default permissions. A role change
+    // moves to the new role's defaults but keeps the account's custom
+    // grants and revocations, unless the same save sets permissions
+    // explicitly. Revocations always carry over; grants are dropped when
+    // the role is lowered, and are left in $locals.replacedPermissions for
+    // the caller to report.
+    const permissionsSet = PERMISSION_KEYS.some(key => this.isModified(`permissions.${key}`));
+    if (this.isNew && !permissionsSet) {
+      this.permissions = defaultPermissions(this.role);
+    } else if (this.isModified('role') && !permissionsSet) {
+      const defaults = defaultPermissions(this.role);
+      const previousRole = this.$locals.loadedRole;
+      const previousDefaults = defaultPermissions(previousRole);
+      const demoted = (ROLE_RANKS[this.role] ?? 0) < (ROLE_RANKS[previousRole] ?? 0);
+
+      const permissions = {};
+      const replaced = {};
+      for (const key of PERMISSION_KEYS) {
+        const value = !!this.get(`permissions.${key}`);
+        const custom = value !== previousDefaults[key];
+        if (custom && (!value || !demoted)) {
+          permissions[key] = value;
+        } else {
+          permissions[key] = defaults[key];
+          if (custom && value !== defaults[key]) replaced[key] = value;
+        }
+      }
+
+      this.permissions = permissions;
+      if (Object.keys(replaced).length) {
+        this.$locals.replacedPermissions = replaced;
       }
     }
 
-    // Track status changes
-    if (this.isModified('status')) {
+    // Track status changes, unless the caller already recorded why
+    if (this.isModified('status') && !this.isModified('statusHistory')) {
       this.statusHistory = this.statusHistory || [];
       this.statusHistory.unshift({
         status: this.status,
@@ -283,6 +486,51 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Role the document was loaded or last saved with, to tell custom
+// permissions apart from role defaults when the role changes
+userSchema.post('init', function() {
+  this.$locals.loadedRole = this.role;
+});
+
+userSchema.post('save', function() {
+  this.$locals.loadedRole = this.role;
+});
+
+userSchema.statics.defaultPermissions = defaultPermissions;
+userSchema.statics.permissionKeys = () => [...PERMISSION_KEYS];
+userSchema.statics.vendorDocumentTypes = () => [...VENDOR_DOCUMENT_TYPES];
+userSchema.statics.requiredVendorDocuments = () => [...REQUIRED_VENDOR_DOCUMENTS];
+
+// Permissions actually in force: superadmins implicitly hold all of them
+userSchema.methods.effectivePermissions = function() {
+  return Object.fromEntries(PERMISSION_KEYS.map(key => [
+    key,
+    this.role === 'superadmin' || !!this.permissions?.[key]
+  ]));
+};
+
+// Required document types the vendor hasn't uploaded yet
+userSchema.methods.missingVendorDocuments = function() {
+  const uploaded = new Set((this.onboarding?.documents || []).map(doc => doc.type));
+  return REQUIRED_VENDOR_DOCUMENTS.filter(type => !uploaded.has(type));
+};
+
+// Whether a vendor's store is taking orders: approved, activated and not
+// temporarily closed
+userSchema.methods.isStoreOpen = function(now = new Date()) {
+  const store = this.storeDetails;
+  if (this.role !== 'vendor' || this.status !== 'active' || !store?.active) {
+    return false;
+  }
+  const closure = store.closure;
+  return !closure?.closed || (!!closure.reopensAt && closure.reopensAt <= now);
+};
+
+// Only accounts explicitly awaiting verification count as unverified
+userSchema.methods.isEmailVerified = function() {
+  return this.emailVerified !== false;
+};
+
 // Method to validate store details
 userSchema.methods.validateStoreDetails = function() {
   if (this.role === 'vendor') {
@@ -311,6 +559,9 @@ userSchema.pre('validate', function(next) {
   }
 });
 
+// Due account deletions are picked up by the scheduler
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
\ No newline at end of file
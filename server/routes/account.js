@@ -0,0 +1,185 @@
+import express from 'express';
+import { z } from 'zod';
+import { auth } from '../middleware/auth.js';
+import User from '../models/User.js';
+import SystemLog from '../models/SystemLog.js';
+import SystemSettings from '../models/SystemSettings.js';
+import { sendMail, clientUrl } from '../utils/mailer.js';
+import { exportUserData, countOpenOrders } from '../utils/personalData.js';
+
+const router = express.Router();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const deletionRequestSchema = z.object({
+  password: z.string().min(1, 'Password is required to delete your account'),
+  reason: z.string().trim().max(1000).optional()
+});
+
+const toDeletionStatus = (user) => ({
+  requested: !!user.deletion?.scheduledFor,
+  requestedAt: user.deletion?.requestedAt || null,
+  scheduledFor: user.deletion?.scheduledFor || null
+});
+
+router.use(auth);
+
+// Download everything stored about the current user as a JSON archive
+router.get('/export', async (req, res) => {
+  try {
+    const data = await exportUserData(req.user.id);
+    if (!data) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await SystemLog.create({
+      level: 'info',
+      message: 'Personal data exported',
+      action: 'DATA_EXPORTED',
+      user: req.user.id,
+      timestamp: new Date()
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.attachment(`pharmalink-data-${date}.json`);
+    res.type('application/json');
+    res.send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    console.error('Error exporting personal data:', error);
+    res.status(500).json({ message: 'Error exporting personal data' });
+  }
+});
+
+// Get the status of a pending deletion request
+router.get('/deletion', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(toDeletionStatus(user));
+  } catch (error) {
+    console.error('Error fetching deletion status:', error);
+    res.status(500).json({ message: 'Error fetching deletion status' });
+  }
+});
+
+// Ask for the account to be deleted after the grace period
+router.post('/deletion', async (req, res) => {
+  try {
+    const { password, reason } = deletionRequestSchema.parse(req.body);
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!await user.comparePassword(password)) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    if (user.deletion?.scheduledFor) {
+      return res.status(409).json({
+        message: 'Account deletion has already been requested',
+        ...toDeletionStatus(user)
+      });
+    }
+
+    // The platform must always keep a superadmin
+    if (user.role === 'superadmin') {
+      const otherSuperadmins = await User.countDocuments({
+        _id: { $ne: user._id },
+        role: 'superadmin',
+        status: 'active',
+        'deletion.scheduledFor': { $exists: false }
+      });
+      if (!otherSuperadmins) {
+        return res.status(409).json({ message: 'The last superadmin account cannot be deleted' });
+      }
+    }
+
+    const openOrders = await countOpenOrders(user);
+    if (openOrders) {
+      return res.status(409).json({
+        message: 'Orders that are still pending or being processed must be completed or cancelled first',
+        openOrders
+      });
+    }
+
+    const settings = await SystemSettings.getInstance();
+    const now = new Date();
+    user.deletion = {
+      requestedAt: now,
+      scheduledFor: new Date(now.getTime() + settings.accountDeletionGraceDays * DAY),
+      reason
+    };
+    await user.save();
+
+    await SystemLog.create({
+      level: 'warning',
+      message: 'Account deletion requested',
+      action: 'ACCOUNT_DELETION_REQUESTED',
+      user: user._id,
+      details: { scheduledFor: user.deletion.scheduledFor, reason },
+      timestamp: now
+    });
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Your PharmaLink account is scheduled for deletion',
+        text: `Hello ${user.name},\n\nWe received a request to delete your PharmaLink account. ` +
+          `It will be permanently anonymised on ${user.deletion.scheduledFor.toUTCString()}.\n\n` +
+          `If you change your mind, log in and cancel the request before then:\n${clientUrl('/account')}\n\n` +
+          'Order records are kept in de-identified form for accounting purposes.'
+      });
+    } catch (mailError) {
+      console.error('Failed to send deletion confirmation:', mailError);
+    }
+
+    res.status(202).json({
+      message: 'Account deletion scheduled',
+      ...toDeletionStatus(user)
+    });
+  } catch (error) {
+    console.error('Error requesting account deletion:', error);
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: error.errors[0].message });
+    }
+    res.status(500).json({ message: 'Error requesting account deletion' });
+  }
+});
+
+// Cancel a pending deletion request during the grace period
+router.delete('/deletion', async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.user.id, 'deletion.scheduledFor': { $gt: new Date() } },
+      { $unset: { deletion: '' } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ message: 'No pending deletion request' });
+    }
+
+    await SystemLog.create({
+      level: 'info',
+      message: 'Account deletion cancelled',
+      action: 'ACCOUNT_DELETION_CANCELLED',
+      user: user._id,
+      timestamp: new Date()
+    });
+
+    res.json({
+      message: 'Account deletion cancelled',
+      ...toDeletionStatus(user)
+    });
+  } catch (error) {
+    console.error('Error cancelling account deletion:', error);
+    res.status(500).json({ message: 'Error cancelling account deletion' });
+  }
+});
+
+export default router;
@@ -1,10 +1,22 @@
 import express from 'express';
+import fs from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import { z } from 'zod';
 import SystemLog from '../models/SystemLog.js';
 import { auth, requireAdmin } from '../middleware/auth.js';
+import { requireSuperAdmin, requirePermission } from '../middleware/roleCheck.js';
 import User from '../models/User.js';
 import SystemSettings from '../models/SystemSettings.js';
 import Order from '../models/Order.js';
 import Product from '../models/Product.js';
+import { performBackup, listBackups, getBackupPath, restoreBackup } from '../utils/backup.js';
+import { buildReport, renderReportCsv, renderReportHtml } from '../utils/report.js';
+import { revokeSessions } from '../utils/sessions.js';
+import { unlockAccount } from '../utils/loginThrottle.js';
+import { getJobStatus, runJob, rescheduleJob, hasJob } from '../utils/scheduler.js';
+import { invalidateSettingsCache } from '../utils/settingsCache.js';
+import { sendMail, clientUrl } from '../utils/mailer.js';
 
 const router = express.Router();
 
@@ -13,7 +25,7 @@ router.use(auth);
 router.use(requireAdmin);
 
 // Get admin dashboard analytics
-router.get('/analytics', async (req, res) => {
+router.get('/analytics', requirePermission('viewAnalytics'), async (req, res) => {
   try {
     const isSuperAdmin = req.user.role === 'superadmin';
 
@@ -73,7 +85,7 @@ router.get('/analytics', async (req, res) => {
         admins: users.filter(u => u.role === 'admin').length,
         superadmins: users.filter(u => u.role === 'superadmin').length,
         inactiveUsers: users.filter(u => u.status !== 'active').length,
-        pendingVendors: users.filter(u => u.role === 'vendor' && u.status === 'pending').length
+        pendingVendors: users.filter(u => u.role === 'vendor' && u.status === 'pending' && u.isEmailVerified()).length
       }
     };
 
@@ -109,21 +121,27 @@ router.get('/analytics', async (req, res) => {
 });
 
 // Get all users with pagination and filtering
-router.get('/users', async (req, res) => {
+router.get('/users', requirePermission('manageUsers'), async (req, res) => {
   try {
     const { 
       page = 1, 
       limit = 10, 
       status, 
       role,
+      emailVerified,
       search 
     } = req.query;
 
-    const query = {};
+    // Vendor applications stay out of sight until the email is verified
+    const query = {
+      $nor: [{ role: 'vendor', status: 'pending', emailVerified: false }]
+    };
     
     // Apply filters
     if (status) query.status = status;
     if (role) query.role = role;
+    if (emailVerified === 'false') query.emailVerified = false;
+    if (emailVerified === 'true') query.emailVerified = { $ne: false };
     if (search) {
       query.$or = [
         { name: { $regex: search, $options: 'i' } },
@@ -152,7 +170,7 @@ router.get('/users', async (req, res) => {
 });
 
 // Update user status and role
-router.put('/users/:userId', async (req, res) => {
+router.put('/users/:userId', requirePermission('manageUsers'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { status, role, reason } = req.body;
@@ -173,6 +191,30 @@ router.put('/users/:userId', async (req, res) => {
       return res.status(403).json({ message: 'Only superadmins can promote to superadmin' });
     }
 
+    // Role changes are gated by promoteUsers on top of manageUsers
+    if (role && role !== user.role && !req.user.permissions.promoteUsers) {
+      return res.status(403).json({
+        message: 'Required permission: promoteUsers',
+        currentRole: req.user.role,
+        missingPermission: 'promoteUsers'
+      });
+    }
+
+    // Vendor applications can't be approved before the email is verified
+    if (status === 'active' && user.role === 'vendor' && !user.isEmailVerified()) {
+      return res.status(409).json({ message: 'Vendor email address has not been verified' });
+    }
+
+    // New vendors are approved through the application queue, where the
+    // licence documents can be reviewed
+    if (status === 'active' && user.role === 'vendor' && user.status === 'pending' &&
+        user.onboarding?.status !== 'approved') {
+      return res.status(409).json({
+        message: 'Pending vendors must be approved through the vendor application queue',
+        onboardingStatus: user.onboarding?.status || 'notSubmitted'
+      });
+    }
+
     const userToUpdate = await User.findById(userId);
     if (!userToUpdate) {
       return res.status(404).json({ message: 'User not found' });
@@ -230,9 +272,6 @@ router.put('/users/:userId', async (req, res) => {
         role: updatedUser.role
       });
 
-      const userResponse = updatedUser.toObject();
-      delete userResponse.password;
-
       // Log the change
       await SystemLog.create({
         level: 'info',
@@ -246,11 +285,14 @@ router.put('/users/:userId', async (req, res) => {
             status: status || undefined,
             role: role || undefined,
             reason
-          }
+          },
+          replacedPermissions: updatedUser.$locals.replacedPermissions
         }
       });
 
-      res.json(userResponse);
+      // Custom permissions reset by a role change are reported alongside the user
+      const { replacedPermissions } = updatedUser.$locals;
+      res.json(replacedPermissions ? { ...updatedUser.toJSON(), replacedPermissions } : updatedUser);
     } catch (error) {
       console.error('Error saving user:', error);
       throw error;
@@ -262,7 +304,7 @@ router.put('/users/:userId', async (req, res) => {
 });
 
 // Get user details including status history
-router.get('/users/:userId', async (req, res) => {
+router.get('/users/:userId', requirePermission('manageUsers'), async (req, res) => {
   try {
     const { userId } = req.params;
     
@@ -281,8 +323,301 @@ router.get('/users/:userId', async (req, res) => {
   }
 });
 
+// Force-logout a user from every session
+router.post('/users/:userId/logout', requirePermission('manageUsers'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.role === 'superadmin' && req.user.role !== 'superadmin') {
+      return res.status(403).json({ message: 'Cannot modify superadmin users' });
+    }
+
+    const revoked = await revokeSessions({ user: user._id }, 'admin_force_logout');
+
+    await SystemLog.create({
+      level: 'warning',
+      message: `User ${user.email} force-logged out by admin`,
+      action: 'FORCE_LOGOUT',
+      user: req.user.id,
+      details: { targetUser: user._id, revoked, reason: req.body.reason },
+      timestamp: new Date()
+    });
+
+    res.json({ message: 'User logged out of all sessions', revoked });
+  } catch (error) {
+    console.error('Error forcing logout:', error);
+    res.status(500).json({ message: 'Error logging out user' });
+  }
+});
+
+// Unlock an account locked by failed logins
+router.post('/users/:userId/unlock', requirePermission('manageUsers'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const lock = await unlockAccount(user.email);
+
+    await SystemLog.create({
+      level: 'info',
+      message: `Account ${user.email} unlocked by admin`,
+      action: 'ACCOUNT_UNLOCKED',
+      user: req.user.id,
+      details: {
+        targetUser: user._id,
+        wasLocked: lock?.lockedUntil > new Date(),
+        failures: lock?.failures || 0
+      },
+      timestamp: new Date()
+    });
+
+    res.json({ message: 'Account unlocked successfully' });
+  } catch (error) {
+    console.error('Error unlocking account:', error);
+    res.status(500).json({ message: 'Error unlocking account' });
+  }
+});
+
+// Mark an account's email as verified without the link
+router.post('/users/:userId/verify-email', requirePermission('manageUsers'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.isEmailVerified()) {
+      return res.json({ message: 'Email already verified', emailVerified: true });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { emailVerified: true, emailVerifiedAt: new Date() },
+        $unset: { emailVerification: '' }
+      }
+    );
+
+    await SystemLog.create({
+      level: 'info',
+      message: `Email for ${user.email} marked verified by admin`,
+      action: 'EMAIL_VERIFIED',
+      user: req.user.id,
+      details: { targetUser: user._id, method: 'admin_override', reason: req.body.reason },
+      timestamp: new Date()
+    });
+
+    res.json({ message: 'Email marked as verified', emailVerified: true });
+  } catch (error) {
+    console.error('Error verifying user email:', error);
+    res.status(500).json({ message: 'Error verifying user email' });
+  }
+});
+
+const vendorDecisionSchema = z.object({
+  decision: z.enum(['approve', 'reject', 'requestChanges']),
+  comment: z.string().trim().max(2000).optional()
+}).refine(data => data.decision === 'approve' || data.comment, {
+  message: 'A comment is required when rejecting or requesting changes',
+  path: ['comment']
+});
+
+// What each decision does to the application and the account
+const VENDOR_DECISIONS = {
+  approve: {
+    onboardingStatus: 'approved',
+    accountStatus: 'active',
+    action: 'onboarding_approved',
+    subject: 'Your PharmaLink vendor application has been approved',
+    text: 'Your vendor application has been approved. You can now log in and start listing products.'
+  },
+  reject: {
+    onboardingStatus: 'rejected',
+    accountStatus: 'inactive',
+    action: 'onboarding_rejected',
+    subject: 'Your PharmaLink vendor application was not approved',
+    text: 'Unfortunately your vendor application was not approved.'
+  },
+  requestChanges: {
+    onboardingStatus: 'changesRequested',
+    accountStatus: 'pending',
+    action: 'onboarding_changes_requested',
+    subject: 'More information needed for your PharmaLink vendor application',
+    text: 'We need more information before we can approve your vendor application. ' +
+      'Please log in, update your documents and submit the application again.'
+  }
+};
+
+// Unverified applications stay out of the queue
+const vendorApplicationQuery = (extra = {}) => ({
+  role: 'vendor',
+  emailVerified: { $ne: false },
+  ...extra
+});
+
+// Get the vendor application queue
+router.get('/vendor-applications', requirePermission('manageUsers'), async (req, res) => {
+  try {
+    const { status = 'submitted', page = 1, limit = 10 } = req.query;
+    const query = vendorApplicationQuery({ 'onboarding.status': status });
+
+    const applications = await User.find(query)
+      .select('name email status storeDetails onboarding createdAt')
+      .sort({ 'onboarding.submittedAt': 1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      applications,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching vendor applications:', error);
+    res.status(500).json({ message: 'Error fetching vendor applications' });
+  }
+});
+
+// Get a single vendor application with its history
+router.get('/vendor-applications/:userId', requirePermission('manageUsers'), async (req, res) => {
+  try {
+    const application = await User.findOne(vendorApplicationQuery({ _id: req.params.userId }))
+      .select('name email status storeDetails onboarding statusHistory createdAt')
+      .populate('statusHistory.updatedBy', 'name email')
+      .populate('onboarding.comments.author', 'name email role')
+      .populate('onboarding.reviewedBy', 'name email');
+
+    if (!application) {
+      return res.status(404).json({ message: 'Vendor application not found' });
+    }
+
+    res.json({
+      application,
+      missingDocuments: application.missingVendorDocuments()
+    });
+  } catch (error) {
+    console.error('Error fetching vendor application:', error);
+    res.status(500).json({ message: 'Error fetching vendor application' });
+  }
+});
+
+// Download a vendor's KYC document
+router.get('/vendor-applications/:userId/documents/:documentId/file', requirePermission('manageUsers'), async (req, res) => {
+  try {
+    const application = await User.findOne(vendorApplicationQuery({ _id: req.params.userId }));
+    const document = application?.onboarding?.documents.id(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    res.type(document.mimeType);
+    res.sendFile(path.resolve(document.file));
+  } catch (error) {
+    console.error('Error fetching vendor document:', error);
+    res.status(500).json({ message: 'Error fetching document' });
+  }
+});
+
+// Approve, reject or request changes to a submitted vendor application
+router.put('/vendor-applications/:userId/decision', requirePermission('manageUsers'), async (req, res) => {
+  try {
+    const { decision, comment } = vendorDecisionSchema.parse(req.body);
+    const outcome = VENDOR_DECISIONS[decision];
+    const now = new Date();
+
+    const update = {
+      $set: {
+        status: outcome.accountStatus,
+        'onboarding.status': outcome.onboardingStatus,
+        'onboarding.reviewedBy': req.user.id,
+        'onboarding.reviewedAt': now
+      },
+      $push: {
+        statusHistory: {
+          $each: [{
+            status: outcome.accountStatus,
+            action: outcome.action,
+            reason: comment,
+            timestamp: now,
+            updatedBy: req.user.id
+          }],
+          $position: 0
+        }
+      }
+    };
+    if (decision === 'approve') {
+      update.$set['storeDetails.active'] = true;
+    }
+    if (comment) {
+      update.$push['onboarding.comments'] = { author: req.user.id, from: 'admin', message: comment, createdAt: now };
+    }
+
+    // Only a submitted application can be decided, so two admins acting
+    // at once can't both record a decision
+    const vendor = await User.findOneAndUpdate(
+      vendorApplicationQuery({ _id: req.params.userId, 'onboarding.status': 'submitted' }),
+      update,
+      { new: true }
+    );
+
+    if (!vendor) {
+      const exists = await User.exists(vendorApplicationQuery({ _id: req.params.userId }));
+      return exists
+        ? res.status(409).json({ message: 'Application is not awaiting review' })
+        : res.status(404).json({ message: 'Vendor application not found' });
+    }
+
+    if (decision === 'reject') {
+      await revokeSessions({ user: vendor._id }, 'vendor_rejected');
+    }
+
+    await SystemLog.create({
+      level: 'info',
+      message: `Vendor application for ${vendor.email}: ${decision}`,
+      action: 'VENDOR_APPLICATION_DECISION',
+      user: req.user.id,
+      details: { vendor: vendor._id, decision, comment },
+      timestamp: now
+    });
+
+    // The decision stands even if the notification can't be delivered
+    try {
+      await sendMail({
+        to: vendor.email,
+        subject: outcome.subject,
+        text: `Hello ${vendor.name},\n\n${outcome.text}` +
+          (comment ? `\n\nComments from our team:\n${comment}` : '') +
+          `\n\n${clientUrl('/vendor/onboarding')}`
+      });
+    } catch (mailError) {
+      console.error('Failed to notify vendor of decision:', mailError);
+    }
+
+    res.json({
+      message: 'Decision recorded',
+      application: vendor
+    });
+  } catch (error) {
+    console.error('Error recording vendor decision:', error);
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: error.errors[0].message });
+    }
+    res.status(500).json({ message: 'Error recording decision' });
+  }
+});
+
 // Promote user
-router.put('/promote/:userId', async (req, res) => {
+router.put('/promote/:userId', requirePermission('promoteUsers'), async (req, res) => {
   try {
     const user = await User.findById(req.params.userId);
     
@@ -295,9 +630,29 @@ router.put('/promote/:userId', async (req, res) => {
       return res.status(400).json({ message: 'Invalid role specified' });
     }
 
+    if (role === 'superadmin' && req.user.role !== 'superadmin') {
+      return res.status(403).json({ message: 'Only superadmins can promote to superadmin' });
+    }
+
+    const previousRole = user.role;
     user.role = role;
     await user.save();
 
+    const { replacedPermissions } = user.$locals;
+    await SystemLog.create({
+      level: 'info',
+      message: `User ${user.email} promoted to ${role}`,
+      action: 'USER_PROMOTED',
+      user: req.user.id,
+      timestamp: new Date(),
+      details: {
+        promotedUser: user._id,
+        previousRole,
+        role,
+        replacedPermissions
+      }
+    });
+
     await User.findByIdAndUpdate(user._id, {
       $push: {
         statusHistory: {
@@ -317,30 +672,113 @@ router.put('/promote/:userId', async (req, res) => {
         email: user.email,
         role: user.role,
         permissions: user.permissions
-      }
+      },
+      ...(replacedPermissions && { replacedPermissions })
     });
   } catch (error) {
     res.status(500).json({ message: 'Error promoting user' });
   }
 });
 
+const permissionsSchema = z.object(
+  Object.fromEntries(User.permissionKeys().map(key => [key, z.boolean()]))
+).partial().strict();
+
+// Describe how a user's permissions differ from their role's defaults
+const describePermissions = (user) => {
+  const defaults = User.defaultPermissions(user.role);
+  const stored = user.permissions?.toObject?.() || {};
+  const keys = User.permissionKeys();
+
+  return {
+    role: user.role,
+    effective: user.effectivePermissions(),
+    roleDefaults: defaults,
+    granted: keys.filter(key => stored[key] && !defaults[key]),
+    revoked: keys.filter(key => !stored[key] && defaults[key])
+  };
+};
+
+// Get a user's effective permissions
+router.get('/users/:userId/permissions', requirePermission('manageUsers'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('name email role permissions');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      user: { id: user._id, name: user.name, email: user.email },
+      ...describePermissions(user)
+    });
+  } catch (error) {
+    console.error('Error fetching user permissions:', error);
+    res.status(500).json({ message: 'Error fetching user permissions' });
+  }
+});
+
 // Update user permissions
-router.put('/users/:userId/permissions', async (req, res) => {
+router.put('/users/:userId/permissions', requirePermission('managePermissions'), async (req, res) => {
   try {
+    const parsed = permissionsSchema.safeParse(req.body.permissions);
+    if (!parsed.success) {
+      return res.status(400).json({
+        message: 'Invalid permissions',
+        errors: parsed.error.errors
+      });
+    }
+
     const user = await User.findById(req.params.userId);
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    if (req.user.role !== 'superadmin') {
+      if (user.role === 'superadmin') {
+        return res.status(403).json({ message: 'Cannot modify superadmin users' });
+      }
+
+      if (user._id.equals(req.user.id)) {
+        return res.status(403).json({ message: 'Cannot change your own permissions' });
+      }
+
+      // Admins can only hand out permissions they hold themselves
+      const ungrantable = Object.entries(parsed.data)
+        .filter(([key, value]) => value && !req.user.permissions[key])
+        .map(([key]) => key);
+      if (ungrantable.length) {
+        return res.status(403).json({
+          message: 'Cannot grant permissions you do not hold',
+          permissions: ungrantable
+        });
+      }
+    }
+
+    const before = user.permissions?.toObject?.() || {};
+
     // Update permissions
     user.permissions = {
-      ...user.permissions,
-      ...req.body.permissions
+      ...before,
+      ...parsed.data
     };
 
     await user.save();
 
+    await SystemLog.create({
+      level: 'warning',
+      message: `Permissions for ${user.email} updated by admin`,
+      action: 'PERMISSIONS_UPDATED',
+      user: req.user.id,
+      details: {
+        targetUser: user._id,
+        before,
+        after: user.permissions.toObject(),
+        reason: req.body.reason
+      },
+      timestamp: new Date()
+    });
+
     res.json({
       message: 'User permissions updated successfully',
       user: {
@@ -349,25 +787,386 @@ router.put('/users/:userId/permissions', async (req, res) => {
         email: user.email,
         role: user.role,
         permissions: user.permissions
-      }
+      },
+      ...describePermissions(user)
     });
   } catch (error) {
+    console.error('Error updating user permissions:', error);
     res.status(500).json({ message: 'Error updating user permissions' });
   }
 });
 
+const productDecisionSchema = z.object({
+  decision: z.enum(['approve', 'reject', 'requestChanges']),
+  reason: z.string().trim().max(2000).optional()
+}).refine(data => data.decision === 'approve' || data.reason, {
+  message: 'A reason is required when rejecting or requesting changes',
+  path: ['reason']
+});
+
+const discontinueSchema = z.object({
+  reason: z.string().trim().min(1, 'A reason is required').max(2000)
+});
+
+// Status and history entry for each moderation decision
+const PRODUCT_DECISIONS = {
+  approve: { status: 'published', action: 'approved' },
+  reject: { status: 'rejected', action: 'rejected' },
+  requestChanges: { status: 'changesRequested', action: 'changesRequested' }
+};
+
+// Get the product moderation queue
+router.get('/products/moderation', requirePermission('manageProducts'), async (req, res) => {
+  try {
+    const { status = 'pendingReview', page = 1, limit = 20 } = req.query;
+    const query = { status };
+
+    const [products, total] = await Promise.all([
+      Product.find(query)
+        .select('-reviews -batches')
+        .populate('vendor', 'name email storeDetails.storeName')
+        .populate('moderation.history.by', 'name email role')
+        .sort({ 'moderation.submittedAt': 1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      Product.countDocuments(query)
+    ]);
+
+    res.json({
+      products,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching moderation queue:', error);
+    res.status(500).json({ message: 'Error fetching moderation queue' });
+  }
+});
+
+// Approve, reject or request changes to a product awaiting review
+router.put('/products/:productId/moderation', requirePermission('manageProducts'), async (req, res) => {
+  try {
+    const parsed = productDecisionSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ message: parsed.error.errors[0].message });
+    }
+
+    const { decision, reason } = parsed.data;
+    const outcome = PRODUCT_DECISIONS[decision];
+    const now = new Date();
+
+    // Only products still awaiting review can be decided, so concurrent
+    // moderators can't overwrite each other's decision
+    const product = await Product.findOneAndUpdate(
+      { _id: req.params.productId, status: 'pendingReview' },
+      {
+        $set: {
+          status: outcome.status,
+          'moderation.reviewedBy': req.user.id,
+          'moderation.reviewedAt': now,
+          'moderation.reason': reason
+        },
+        $push: {
+          'moderation.history': {
+            action: outcome.action,
+            status: outcome.status,
+            reason,
+            by: req.user.id,
+            at: now
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!product) {
+      const exists = await Product.exists({ _id: req.params.productId });
+      return exists
+        ? res.status(409).json({ message: 'Product is not awaiting review' })
+        : res.status(404).json({ message: 'Product not found' });
+    }
+
+    // Approved with nothing to sell: list it as out of stock
+    if (outcome.status === 'published') {
+      const { soldOut } = await Product.syncStockStatus({ _id: product._id });
+      if (soldOut) product.status = 'outOfStock';
+    }
+
+    await SystemLog.create({
+      level: 'info',
+      message: `Product ${product.name} moderated: ${decision}`,
+      action: 'PRODUCT_MODERATED',
+      user: req.user.id,
+      details: { product: product._id, vendor: product.vendor, decision, reason },
+      timestamp: now
+    });
+
+    res.json(product);
+  } catch (error) {
+    console.error('Error moderating product:', error);
+    res.status(500).json({ message: 'Error moderating product' });
+  }
+});
+
+// Discontinue any product, taking it off sale for good
+router.put('/products/:productId/discontinue', requirePermission('manageProducts'), async (req, res) => {
+  try {
+    const parsed = discontinueSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ message: parsed.error.errors[0].message });
+    }
+
+    const { reason } = parsed.data;
+    const now = new Date();
+
+    const previous = await Product.findOneAndUpdate(
+      { _id: req.params.productId, status: { $ne: 'discontinued' } },
+      {
+        $set: {
+          status: 'discontinued',
+          'moderation.reviewedBy': req.user.id,
+          'moderation.reviewedAt': now,
+          'moderation.reason': reason
+        },
+        $push: {
+          'moderation.history': {
+            action: 'discontinued',
+            status: 'discontinued',
+            reason,
+            by: req.user.id,
+            at: now
+          }
+        }
+      }
+    );
+
+    if (!previous) {
+      const exists = await Product.exists({ _id: req.params.productId });
+      return exists
+        ? res.status(409).json({ message: 'Product is already discontinued' })
+        : res.status(404).json({ message: 'Product not found' });
+    }
+
+    await SystemLog.create({
+      level: 'warning',
+      message: `Product ${previous.name} discontinued by admin`,
+      action: 'PRODUCT_DISCONTINUED',
+      user: req.user.id,
+      details: {
+        product: previous._id,
+        vendor: previous.vendor,
+        previousStatus: previous.status,
+        reason
+      },
+      timestamp: now
+    });
+
+    res.json({ message: 'Product discontinued', productId: previous._id, reason });
+  } catch (error) {
+    console.error('Error discontinuing product:', error);
+    res.status(500).json({ message: 'Error discontinuing product' });
+  }
+});
+
+// Get product reviews for moderation
+router.get('/reviews', requirePermission('manageProducts'), async (req, res) => {
+  try {
+    const { hidden, productId, page = 1, limit = 20 } = req.query;
+    if (productId && !mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ message: 'Invalid product ID' });
+    }
+
+    const reviewMatch = {};
+
+    if (hidden === 'true') reviewMatch['reviews.hidden'] = true;
+    if (hidden === 'false') reviewMatch['reviews.hidden'] = { $ne: true };
+
+    const [result] = await Product.aggregate([
+      { $match: productId ? { _id: new mongoose.Types.ObjectId(productId) } : {} },
+      { $unwind: '$reviews' },
+      { $match: reviewMatch },
+      { $sort: { 'reviews.date': -1 } },
+      {
+        $facet: {
+          reviews: [
+            { $skip: (page - 1) * limit },
+            { $limit: parseInt(limit) },
+            {
+              $project: {
+                _id: '$reviews._id',
+                product: { _id: '$_id', name: '$name' },
+                user: '$reviews.user',
+                rating: '$reviews.rating',
+                comment: '$reviews.comment',
+                date: '$reviews.date',
+                hidden: '$reviews.hidden',
+                hiddenReason: '$reviews.hiddenReason',
+                moderatedBy: '$reviews.moderatedBy',
+                moderatedAt: '$reviews.moderatedAt'
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    await User.populate(result.reviews, { path: 'user moderatedBy', select: 'name email' });
+    const total = result.total[0]?.count || 0;
+
+    res.json({
+      reviews: result.reviews,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({ message: 'Error fetching reviews' });
+  }
+});
+
+// Hide or restore a review
+router.put('/reviews/:productId/:reviewId', requirePermission('manageProducts'), async (req, res) => {
+  try {
+    const { hidden, reason } = req.body;
+
+    if (typeof hidden !== 'boolean') {
+      return res.status(400).json({ message: 'hidden must be true or false' });
+    }
+    if (hidden && !reason?.trim()) {
+      return res.status(400).json({ message: 'A reason is required when hiding a review' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.productId) || !mongoose.Types.ObjectId.isValid(req.params.reviewId)) {
+      return res.status(400).json({ message: 'Invalid product or review ID' });
+    }
+
+    const updated = await Product.findOneAndUpdate(
+      { _id: req.params.productId, 'reviews._id': req.params.reviewId },
+      {
+        $set: {
+          'reviews.$.hidden': hidden,
+          'reviews.$.moderatedBy': req.user.id,
+          'reviews.$.moderatedAt': new Date(),
+          ...(hidden && { 'reviews.$.hiddenReason': reason.trim() })
+        },
+        ...(!hidden && { $unset: { 'reviews.$.hiddenReason': 1 } })
+      }
+    );
+    if (!updated) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    const product = await Product.syncRatings(req.params.productId);
+    const review = product.reviews.id(req.params.reviewId);
+
+    await SystemLog.create({
+      level: 'info',
+      message: `Review on ${product.name} ${hidden ? 'hidden' : 'restored'} by admin`,
+      action: hidden ? 'REVIEW_HIDDEN' : 'REVIEW_RESTORED',
+      user: req.user.id,
+      details: {
+        productId: product._id,
+        reviewId: review._id,
+        reviewAuthor: review.user,
+        reason: hidden ? reason.trim() : undefined
+      },
+      timestamp: new Date()
+    });
+
+    res.json({ review, ratings: product.ratings });
+  } catch (error) {
+    console.error('Error moderating review:', error);
+    res.status(500).json({ message: 'Error moderating review' });
+  }
+});
+
 // System backup
-router.post('/backup', async (req, res) => {
+router.post('/backup', requirePermission('manageSettings'), async (req, res) => {
+  try {
+    const backup = await performBackup({ user: req.user.id });
+    res.status(201).json({ message: 'Backup created successfully', backup });
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    res.status(500).json({ message: 'Error creating backup' });
+  }
+});
+
+// List available backups
+router.get('/backups', requirePermission('manageSettings'), async (req, res) => {
+  try {
+    res.json(await listBackups());
+  } catch (error) {
+    console.error('Error listing backups:', error);
+    res.status(500).json({ message: 'Error listing backups' });
+  }
+});
+
+// Download a backup archive
+router.get('/backups/:name/download', requirePermission('manageSettings'), async (req, res) => {
   try {
-    // Add your backup logic here
-    res.json({ message: 'Backup initiated successfully' });
+    const backupPath = getBackupPath(req.params.name);
+    res.download(backupPath, req.params.name, (err) => {
+      if (err && !res.headersSent) {
+        res.status(404).json({ message: 'Backup not found' });
+      }
+    });
   } catch (error) {
-    res.status(500).json({ message: 'Error initiating backup' });
+    if (error.code === 'INVALID_BACKUP_NAME') {
+      return res.status(404).json({ message: 'Backup not found' });
+    }
+    console.error('Error downloading backup:', error);
+    res.status(500).json({ message: 'Error downloading backup' });
+  }
+});
+
+// Restore the database from a backup (superadmin only)
+router.post('/backups/:name/restore', requireSuperAdmin, async (req, res) => {
+  try {
+    const { name } = req.params;
+    const backupPath = getBackupPath(name);
+    await fs.access(backupPath);
+
+    // Keep a copy of the current state in case the restore was a mistake
+    const safetyBackup = await performBackup({ user: req.user.id, trigger: 'pre-restore' });
+    const counts = await restoreBackup(name);
+
+    const settings = await SystemSettings.getInstance();
+    settings.lastBackup = safetyBackup.createdAt;
+    await settings.save();
+
+    // The restored settings replace the cached ones, backup frequency included
+    invalidateSettingsCache();
+    await rescheduleJob('backup');
+
+    await SystemLog.create({
+      level: 'warning',
+      message: `Database restored from backup ${name}`,
+      action: 'BACKUP_RESTORED',
+      user: req.user.id,
+      details: { backup: name, safetyBackup: safetyBackup.name, counts },
+      timestamp: new Date()
+    });
+
+    res.json({
+      message: 'Backup restored successfully',
+      restored: counts,
+      safetyBackup: safetyBackup.name
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_BACKUP_NAME' || error.code === 'ENOENT') {
+      return res.status(404).json({ message: 'Backup not found' });
+    }
+    console.error('Error restoring backup:', error);
+    res.status(500).json({ message: 'Error restoring backup' });
   }
 });
 
 // Get system logs with filtering
-router.get('/logs', async (req, res) => {
+router.get('/logs', requirePermission('viewAnalytics'), async (req, res) => {
   try {
     console.log('Received logs request with query:', req.query);
     const { filter = 'all', startDate, endDate, limit = 100 } = req.query;
@@ -452,7 +1251,7 @@ router.get('/logs', async (req, res) => {
 });
 
 // Add new log entry
-router.post('/logs', async (req, res) => {
+router.post('/logs', requirePermission('manageSettings'), async (req, res) => {
   try {
     const { level, message, action } = req.body;
     
@@ -473,7 +1272,7 @@ router.post('/logs', async (req, res) => {
 });
 
 // Get system settings
-router.get('/settings', async (req, res) => {
+router.get('/settings', requirePermission('manageSettings'), async (req, res) => {
   try {
     let settings = await SystemSettings.findOne();
     
@@ -497,7 +1296,7 @@ router.get('/settings', async (req, res) => {
 });
 
 // Update system settings
-router.put('/settings', async (req, res) => {
+router.put('/settings', requirePermission('manageSettings'), async (req, res) => {
   try {
     const updates = req.body;
     let settings = await SystemSettings.findOne();
@@ -509,6 +1308,12 @@ router.put('/settings', async (req, res) => {
     }
     
     await settings.save();
+    invalidateSettingsCache();
+
+    // Pick up a new backup frequency without a restart
+    if (updates.backupFrequency) {
+      await rescheduleJob('backup');
+    }
     
     // Log the settings update
     const log = new SystemLog({
@@ -522,21 +1327,179 @@ router.put('/settings', async (req, res) => {
     
     res.json(settings);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error updating settings:', error);
     res.status(500).json({ message: 'Error updating system settings' });
   }
 });
 
-// Generate system report
-router.get('/report', async (req, res) => {
+const maintenanceSchema = z.object({
+  enabled: z.boolean().optional(),
+  message: z.string().trim().max(500).nullable().optional(),
+  startsAt: z.coerce.date().nullable().optional(),
+  endsAt: z.coerce.date().nullable().optional(),
+  allowedUsers: z.array(z.string().refine(mongoose.isValidObjectId, 'Invalid user ID')).optional()
+});
+
+const toMaintenanceResponse = (settings) => ({
+  enabled: settings.maintenanceMode,
+  active: settings.isUnderMaintenance(),
+  message: settings.maintenance?.message || null,
+  startsAt: settings.maintenance?.startsAt || null,
+  endsAt: settings.maintenance?.endsAt || null,
+  allowedUsers: settings.maintenance?.allowedUsers || []
+});
+
+// Get maintenance mode and the scheduled window
+router.get('/maintenance', requirePermission('manageSettings'), async (req, res) => {
   try {
-    // Add your report generation logic here
-    const report = {
-      timestamp: new Date(),
-      data: 'Sample report data'
-    };
+    const settings = await SystemSettings.getInstance();
+    await settings.populate('maintenance.allowedUsers', 'name email role');
+    res.json(toMaintenanceResponse(settings));
+  } catch (error) {
+    console.error('Error fetching maintenance settings:', error);
+    res.status(500).json({ message: 'Error fetching maintenance settings' });
+  }
+});
+
+// Switch maintenance on or off, or schedule a maintenance window
+router.put('/maintenance', requirePermission('manageSettings'), async (req, res) => {
+  try {
+    const parsed = maintenanceSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({
+        message: 'Invalid maintenance settings',
+        errors: parsed.error.errors
+      });
+    }
+
+    const { enabled, allowedUsers, ...window } = parsed.data;
+
+    if (allowedUsers?.length) {
+      const found = await User.countDocuments({ _id: { $in: allowedUsers } });
+      if (found !== new Set(allowedUsers).size) {
+        return res.status(400).json({ message: 'One or more allow-listed users do not exist' });
+      }
+    }
+
+    const settings = await SystemSettings.getInstance();
+    if (enabled !== undefined) {
+      settings.maintenanceMode = enabled;
+    }
+    for (const [key, value] of Object.entries(window)) {
+      settings.set(`maintenance.${key}`, value ?? undefined);
+    }
+    if (allowedUsers) {
+      settings.set('maintenance.allowedUsers', [...new Set(allowedUsers)]);
+    }
+
+    await settings.save();
+    invalidateSettingsCache();
+
+    await SystemLog.create({
+      level: 'warning',
+      message: settings.isUnderMaintenance() ? 'Maintenance mode active' : 'Maintenance settings updated',
+      action: 'MAINTENANCE_UPDATED',
+      user: req.user.id,
+      details: toMaintenanceResponse(settings),
+      timestamp: new Date()
+    });
+
+    res.json(toMaintenanceResponse(settings));
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error updating maintenance settings:', error);
+    res.status(500).json({ message: 'Error updating maintenance settings' });
+  }
+});
+
+// Get scheduled job status
+router.get('/jobs', requirePermission('manageSettings'), async (req, res) => {
+  try {
+    res.json(getJobStatus());
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ message: 'Error fetching jobs' });
+  }
+});
+
+// Run a scheduled job immediately
+router.post('/jobs/:name/run', requirePermission('manageSettings'), async (req, res) => {
+  try {
+    if (!hasJob(req.params.name)) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    await SystemLog.create({
+      level: 'info',
+      message: `Job ${req.params.name} triggered manually`,
+      action: 'JOB_TRIGGERED',
+      user: req.user.id,
+      timestamp: new Date()
+    });
+
+    const result = await runJob(req.params.name);
+    res.json({ message: 'Job completed', result });
+  } catch (error) {
+    console.error('Error running job:', error);
+    res.status(500).json({ message: 'Error running job', error: error.message });
+  }
+});
+
+// Generate system report for a date range, as JSON, CSV or printable HTML
+router.get('/report', requirePermission('viewAnalytics'), async (req, res) => {
+  try {
+    const { startDate, endDate, format = 'json', lowStockThreshold = 10 } = req.query;
+
+    // Defaults to the current month
+    const now = new Date();
+    const from = startDate ? new Date(startDate) : new Date(now.getFullYear(), now.getMonth(), 1);
+    const to = endDate ? new Date(endDate) : now;
+    // A date-only end date covers that whole day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+      to.setUTCHours(23, 59, 59, 999);
+    }
+
+    if (isNaN(from) || isNaN(to) || from > to) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+    if (!['json', 'csv', 'html'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be json, csv or html' });
+    }
+
+    const report = await buildReport({
+      from,
+      to,
+      lowStockThreshold: parseInt(lowStockThreshold) || 0
+    });
+    const filename = `pharmalink-report-${from.toISOString().slice(0, 10)}-to-${to.toISOString().slice(0, 10)}`;
+
+    await SystemLog.create({
+      level: 'info',
+      message: 'System report generated',
+      action: 'REPORT_GENERATED',
+      user: req.user.id,
+      details: { from, to, format },
+      timestamp: new Date()
+    });
+
+    if (format === 'csv') {
+      res.attachment(`${filename}.csv`);
+      return res.type('text/csv').send(renderReportCsv(report));
+    }
+    if (format === 'html') {
+      return res.type('html').send(renderReportHtml(report));
+    }
+    if (req.query.download === 'true') {
+      res.attachment(`${filename}.json`);
+    }
     res.json(report);
   } catch (error) {
+    console.error('Error generating report:', error);
     res.status(500).json({ message: 'Error generating report' });
   }
 });
@@ -1,10 +1,28 @@
 import express from 'express';
 import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 import { z } from 'zod';
 import User from '../models/User.js';
 import SystemLog from '../models/SystemLog.js';
 import { auth } from '../middleware/auth.js';
+import Session from '../models/Session.js';
+import SystemSettings from '../models/SystemSettings.js';
+import { sendMail, clientUrl } from '../utils/mailer.js';
+import { issueTokens, rotateRefreshToken, revokeSessions } from '../utils/sessions.js';
+import { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } from '../utils/loginThrottle.js';
+import { sendVerificationEmail, verifyVerificationToken } from '../utils/emailVerification.js';
+import { anonymiseUser, countOpenOrders } from '../utils/personalData.js';
+import {
+  generateSecret,
+  verifyTotp,
+  otpauthUrl,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} from '../utils/totp.js';
 
 const router = express.Router();
 
@@ -54,23 +72,177 @@ const updateProfileSchema = z.object({
   statusReason: z.string().optional()
 });
 
+const passwordResetRequestSchema = z.object({
+  email: z.string().email("Invalid email address")
+});
+
+const verifyEmailSchema = z.object({
+  token: z.string().min(1, "Verification token is required")
+});
+
+const resendVerificationSchema = z.object({
+  email: z.string().email("Invalid email address")
+});
+
+const passwordResetConfirmSchema = z.object({
+  token: z.string().regex(/^[a-f\d]{64}$/, "Invalid reset token"),
+  password: z.string().min(8, "Password must be at least 8 characters")
+});
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+const twoFactorLoginSchema = z.object({
+  challengeToken: z.string(),
+  code: z.string().optional(),
+  recoveryCode: z.string().optional()
+}).refine(data => data.code || data.recoveryCode, {
+  message: "A verification code or recovery code is required",
+  path: ["code"]
+});
+
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const TWO_FACTOR_SETUP_TTL = '15m';
+
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
 const ADMIN_SECRET_KEY = process.env.ADMIN_SECRET_KEY || 'admin_secret_2024';
 
-// Generate tokens function
-const generateTokens = (userId, email, role) => {
-  const accessToken = jwt.sign(
-    { userId, email, role },
-    process.env.JWT_SECRET,
-    { expiresIn: '1h' }
-  );
+// Issue tokens, record the login and send the login response
+const completeLogin = async (user, req, res) => {
+  // Failures are only cleared once every factor has passed
+  await recordLoginSuccess({ email: user.email });
+
+  // Generate tokens
+  const { accessToken, refreshToken } = await issueTokens(user, req);
+
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Log successful login
+  await SystemLog.create({
+    level: 'info',
+    message: 'User logged in successfully',
+    action: 'LOGIN_SUCCESS',
+    user: user._id,
+    timestamp: new Date()
+  });
+
+  // Send response
+  const response = {
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      status: user.status,
+      storeDetails: user.storeDetails,
+      emailVerified: user.isEmailVerified(),
+      ...(user.role === 'vendor' && { onboardingStatus: user.onboarding?.status || 'notSubmitted' }),
+      ...(user.deletion?.scheduledFor && { deletionScheduledFor: user.deletion.scheduledFor }),
+      twoFactorEnabled: !!user.twoFactor?.enabled
+    },
+    tokens: {
+      accessToken,
+      refreshToken
+    }
+  };
+
+  console.log('Login successful:', { 
+    userId: user._id, 
+    role: user.role, 
+    status: user.status 
+  });
 
-  const refreshToken = jwt.sign(
-    { userId, tokenVersion: Date.now() },
-    process.env.JWT_SECRET,
-    { expiresIn: '7d' }
+  res.json(response);
+};
+
+// Send a 429 or 423 if this email or IP may not attempt a login right
+// now. Resolves to true when the request was rejected.
+const rejectThrottledLogin = async (email, req, res) => {
+  const check = await checkLoginAllowed({ email, ip: req.ip });
+  if (check.allowed) {
+    return false;
+  }
+
+  res.set('Retry-After', String(check.retryAfter));
+  if (check.reason === 'throttled') {
+    res.status(429).json({
+      message: 'Too many failed attempts. Please wait before trying again.',
+      retryAfter: check.retryAfter
+    });
+  } else {
+    res.status(423).json({
+      message: check.reason === 'ip_locked'
+        ? 'Too many failed attempts from this network. Please try again later.'
+        : 'Too many failed attempts. Your account has been temporarily locked.',
+      retryAfter: check.retryAfter
+    });
+  }
+  return true;
+};
+
+// Short-lived tokens for the second login step and for forced enrolment.
+// They carry no session id, so the auth middleware never accepts them.
+const signTwoFactorToken = (user, purpose, expiresIn) => jwt.sign(
+  { userId: user._id, purpose },
+  process.env.JWT_SECRET,
+  { expiresIn }
+);
+
+const verifyTwoFactorToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Check a TOTP code or a recovery code for an enrolled user. Used recovery
+// codes are removed and accepted TOTP steps recorded, atomically, so
+// neither can be replayed.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } },
+      { new: true }
+    );
+    return updated ? { method: 'recovery_code', remaining: updated.twoFactor.recoveryCodes.length } : null;
+  }
+
+  const step = verifyTotp(decryptSecret(user.twoFactor.secret), code);
+  if (step === null) return null;
+
+  const updated = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $exists: false } },
+        { 'twoFactor.lastUsedStep': { $lt: step } }
+      ]
+    },
+    { 'twoFactor.lastUsedStep': step }
   );
+  return updated ? { method: 'totp' } : null;
+};
 
-  return { accessToken, refreshToken };
+// Enrolment accepts a normal session or the setup token handed out when
+// two-factor is mandatory and the admin hasn't enrolled yet
+const enrolmentAuth = async (req, res, next) => {
+  if (!req.body.setupToken) {
+    return auth(req, res, next);
+  }
+
+  const decoded = verifyTwoFactorToken(req.body.setupToken, '2fa-setup');
+  if (!decoded) {
+    return res.status(401).json({ message: 'Setup token is invalid or has expired' });
+  }
+
+  req.user = { id: decoded.userId };
+  next();
 };
 
 // Register route
@@ -123,6 +295,7 @@ router.post('/register', async (req, res) => {
       password: hashedPassword,
       role: validatedData.role,
       status: validatedData.role === 'vendor' ? 'pending' : 'active',
+      emailVerified: false,
       lastLogin: new Date()
     };
 
@@ -174,9 +347,17 @@ router.post('/register', async (req, res) => {
       });
 
       // Generate tokens
-      const { accessToken, refreshToken } = generateTokens(user._id, user.email, user.role);
+      const { accessToken, refreshToken } = await issueTokens(user, req);
       console.log('Tokens generated successfully');
 
+      // Don't fail registration if the mail can't be sent; the user can
+      // ask for the link again
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error('Failed to send verification email:', mailError);
+      }
+
       try {
         // Try to create system log, but don't fail registration if it fails
         await SystemLog.create({
@@ -200,7 +381,8 @@ router.post('/register', async (req, res) => {
           email: user.email,
           role: user.role,
           status: user.status,
-          storeDetails: user.storeDetails
+          storeDetails: user.storeDetails,
+          emailVerified: false
         },
         tokens: {
           accessToken,
@@ -268,10 +450,16 @@ router.post('/login', async (req, res) => {
     const validatedData = loginSchema.parse(req.body);
     const { email, password, role } = validatedData;
 
+    // Refuse locked or throttled attempts before touching the password
+    if (await rejectThrottledLogin(email, req, res)) {
+      return;
+    }
+
     // Find user
     const user = await User.findOne({ email: email.toLowerCase() });
     if (!user) {
       console.log('User not found:', email);
+      await recordLoginFailure({ email, ip: req.ip, reason: 'unknown_account' });
       return res.status(400).json({ message: 'Account not found with this email' });
     }
 
@@ -335,10 +523,20 @@ router.post('/login', async (req, res) => {
         details: { 
           email,
           role,
-          reason: 'password_mismatch'
+          reason: 'password_mismatch',
+          ip: req.ip
         },
         timestamp: new Date()
       });
+      const { accountLocked } = await recordLoginFailure({
+        email,
+        ip: req.ip,
+        user: user._id,
+        reason: 'password_mismatch'
+      });
+      if (accountLocked) {
+        return res.status(423).json({ message: 'Too many failed attempts. Your account has been temporarily locked.' });
+      }
       return res.status(400).json({ message: 'Invalid password' });
     }
 
@@ -346,14 +544,18 @@ router.post('/login', async (req, res) => {
     if (user.role === 'vendor') {
       console.log('Vendor login attempt:', { status: user.status, storeActive: user.storeDetails?.active });
       
-      if (user.status !== 'active') {
+      // Pending vendors may log in to complete onboarding, but the vendor
+      // API stays closed to them until approval
+      if (!['active', 'pending'].includes(user.status)) {
         return res.status(403).json({ 
-          message: 'Your vendor account is pending approval',
-          status: user.status 
+          message: 'Your vendor account is not active',
+          status: user.status,
+          onboardingStatus: user.onboarding?.status || 'notSubmitted',
+          emailVerified: user.isEmailVerified()
         });
       }
       
-      if (!user.storeDetails?.active) {
+      if (user.status === 'active' && !user.storeDetails?.active) {
         return res.status(403).json({ 
           message: 'Your store is not yet activated',
           status: 'store_inactive'
@@ -361,45 +563,27 @@ router.post('/login', async (req, res) => {
       }
     }
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user._id, user.email, user.role);
-
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
-
-    // Log successful login
-    await SystemLog.create({
-      level: 'info',
-      message: 'User logged in successfully',
-      action: 'LOGIN_SUCCESS',
-      user: user._id,
-      timestamp: new Date()
-    });
+    // Second factor for enrolled accounts
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorToken(user, '2fa-login', TWO_FACTOR_CHALLENGE_TTL)
+      });
+    }
 
-    // Send response
-    const response = {
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        status: user.status,
-        storeDetails: user.storeDetails
-      },
-      tokens: {
-        accessToken,
-        refreshToken
+    // Admins must enrol first when the platform requires it
+    if (['admin', 'superadmin'].includes(user.role)) {
+      const settings = await SystemSettings.getInstance();
+      if (settings.requireAdminTwoFactor) {
+        return res.status(403).json({
+          message: 'Two-factor authentication must be set up before you can log in',
+          twoFactorSetupRequired: true,
+          setupToken: signTwoFactorToken(user, '2fa-setup', TWO_FACTOR_SETUP_TTL)
+        });
       }
-    };
-    
-    console.log('Login successful:', { 
-      userId: user._id, 
-      role: user.role, 
-      status: user.status 
-    });
-    
-    res.json(response);
+    }
+
+    await completeLogin(user, req, res);
   } catch (error) {
     console.error('Login error:', {
       name: error.name,
@@ -418,6 +602,208 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Second login step for accounts with two-factor enabled
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = twoFactorLoginSchema.parse(req.body);
+
+    const decoded = verifyTwoFactorToken(challengeToken, '2fa-login');
+    if (!decoded) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired' });
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user?.twoFactor?.enabled) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired' });
+    }
+
+    if (await rejectThrottledLogin(user.email, req, res)) {
+      return;
+    }
+
+    const result = await verifySecondFactor(user, { code, recoveryCode });
+    if (!result) {
+      await recordLoginFailure({
+        email: user.email,
+        ip: req.ip,
+        user: user._id,
+        reason: 'invalid_second_factor'
+      });
+      await SystemLog.create({
+        level: 'warning',
+        message: 'Failed two-factor verification',
+        action: 'TWO_FACTOR_FAILED',
+        user: user._id,
+        details: { method: recoveryCode ? 'recovery_code' : 'totp' },
+        timestamp: new Date()
+      });
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    if (result.method === 'recovery_code') {
+      await SystemLog.create({
+        level: 'warning',
+        message: 'Recovery code used to log in',
+        action: 'TWO_FACTOR_RECOVERY_CODE_USED',
+        user: user._id,
+        details: { remaining: result.remaining },
+        timestamp: new Date()
+      });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ message: error.errors[0].message });
+    }
+    res.status(500).json({ message: 'Error logging in user' });
+  }
+});
+
+// Start two-factor enrolment: returns a new secret and its QR code
+router.post('/2fa/setup', enrolmentAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    const url = otpauthUrl({ secret, account: user.email });
+
+    await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': encryptSecret(secret) });
+
+    res.json({
+      secret,
+      otpauthUrl: url,
+      qrCode: await QRCode.toDataURL(url)
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Error starting two-factor setup' });
+  }
+});
+
+// Confirm enrolment with a code from the authenticator app
+router.post('/2fa/enable', enrolmentAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user?.twoFactor?.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = verifyTotp(secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': user.twoFactor.pendingSecret,
+        'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode),
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.lastUsedStep': step
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 }
+    });
+
+    await SystemLog.create({
+      level: 'info',
+      message: 'Two-factor authentication enabled',
+      action: 'TWO_FACTOR_ENABLED',
+      user: user._id,
+      timestamp: new Date()
+    });
+
+    // Recovery codes are only ever shown here
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Error enabling two-factor authentication' });
+  }
+});
+
+// Turn two-factor off; needs the password and a current code
+router.post('/2fa/disable', auth, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user.id);
+
+    if (!user?.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (['admin', 'superadmin'].includes(user.role)) {
+      const settings = await SystemSettings.getInstance();
+      if (settings.requireAdminTwoFactor) {
+        return res.status(403).json({ message: 'Two-factor authentication is mandatory for admin accounts' });
+      }
+    }
+
+    if (!password || !await bcrypt.compare(password, user.password) ||
+        !await verifySecondFactor(user, { code })) {
+      return res.status(400).json({ message: 'Invalid password or verification code' });
+    }
+
+    await User.updateOne({ _id: user._id }, { $unset: { twoFactor: 1 } });
+
+    await SystemLog.create({
+      level: 'warning',
+      message: 'Two-factor authentication disabled',
+      action: 'TWO_FACTOR_DISABLED',
+      user: user._id,
+      timestamp: new Date()
+    });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Error disabling two-factor authentication' });
+  }
+});
+
+// Replace the recovery codes; needs a current code
+router.post('/2fa/recovery-codes', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user?.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (!await verifySecondFactor(user, { code: req.body.code })) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, {
+      'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode)
+    });
+
+    await SystemLog.create({
+      level: 'info',
+      message: 'Two-factor recovery codes regenerated',
+      action: 'TWO_FACTOR_RECOVERY_CODES_REGENERATED',
+      user: user._id,
+      timestamp: new Date()
+    });
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('Recovery code regeneration error:', error);
+    res.status(500).json({ message: 'Error regenerating recovery codes' });
+  }
+});
+
 // Refresh token route
 router.post('/refresh-token', async (req, res) => {
   try {
@@ -427,22 +813,114 @@ router.post('/refresh-token', async (req, res) => {
       return res.status(400).json({ message: 'Refresh token required' });
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
+    // Rotates the token; a reused token revokes its whole session
+    const { tokens } = await rotateRefreshToken(refreshToken, req);
 
-    // Find user
-    const user = await User.findById(decoded.userId).select('-password');
-    if (!user) {
-      return res.status(401).json({ message: 'User not found' });
+    res.json({ tokens });
+  } catch (error) {
+    if (error.code === 'INVALID_REFRESH_TOKEN') {
+      return res.status(401).json({ message: error.message });
     }
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Error refreshing token' });
+  }
+});
 
-    // Generate new tokens
-    const tokens = generateTokens(user._id, user.email, user.role);
+// Log out of the current session
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSessions({ _id: req.decodedToken.sid, user: req.user.id }, 'logout');
 
-    res.json({ tokens });
+    await SystemLog.create({
+      level: 'info',
+      message: 'User logged out',
+      action: 'LOGOUT',
+      user: req.user.id,
+      timestamp: new Date()
+    });
+
+    res.json({ message: 'Logged out successfully' });
   } catch (error) {
-    console.error('Token refresh error:', error);
-    res.status(401).json({ message: 'Invalid refresh token' });
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Error logging out' });
+  }
+});
+
+// List the current user's active sessions
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map(session => ({
+      id: session._id,
+      device: session.device,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.toString() === req.decodedToken.sid
+    })));
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ message: 'Error fetching sessions' });
+  }
+});
+
+// Revoke all of the current user's sessions; ?keepCurrent=true keeps this one
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const filter = { user: req.user.id };
+    if (req.query.keepCurrent === 'true') {
+      filter._id = { $ne: req.decodedToken.sid };
+    }
+
+    const revoked = await revokeSessions(filter, 'user_revoked_all');
+
+    await SystemLog.create({
+      level: 'info',
+      message: `User revoked ${revoked} sessions`,
+      action: 'SESSIONS_REVOKED',
+      user: req.user.id,
+      details: { revoked, keepCurrent: req.query.keepCurrent === 'true' },
+      timestamp: new Date()
+    });
+
+    res.json({ message: 'Sessions revoked successfully', revoked });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    res.status(500).json({ message: 'Error revoking sessions' });
+  }
+});
+
+// Revoke one of the current user's sessions
+router.delete('/sessions/:sessionId', auth, async (req, res) => {
+  try {
+    const revoked = await revokeSessions(
+      { _id: req.params.sessionId, user: req.user.id },
+      'user_revoked'
+    );
+
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await SystemLog.create({
+      level: 'info',
+      message: 'User revoked a session',
+      action: 'SESSION_REVOKED',
+      user: req.user.id,
+      details: { sessionId: req.params.sessionId },
+      timestamp: new Date()
+    });
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ message: 'Error revoking session' });
   }
 });
 
@@ -462,6 +940,7 @@ router.get('/profile', auth, async (req, res) => {
       email: user.email,
       role: user.role,
       status: user.status,
+      emailVerified: user.isEmailVerified(),
       createdAt: user.createdAt,
       lastLogin: user.lastLogin,
       ...(user.role === 'vendor' && { storeDetails: user.storeDetails })
@@ -498,7 +977,14 @@ router.put('/profile', auth, async (req, res) => {
 
     // Update basic info
     if (validatedData.name) user.name = validatedData.name;
-    if (validatedData.email) user.email = validatedData.email.toLowerCase();
+    // A new address has to be verified again
+    const emailChanged = !!validatedData.email && validatedData.email.toLowerCase() !== user.email;
+    if (emailChanged) {
+      user.email = validatedData.email.toLowerCase();
+      user.emailVerified = false;
+      user.emailVerifiedAt = undefined;
+      user.emailVerification = undefined;
+    }
 
     // Handle password change
     if (validatedData.currentPassword && validatedData.newPassword) {
@@ -512,12 +998,21 @@ router.put('/profile', auth, async (req, res) => {
 
     await user.save();
 
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error('Failed to send verification email:', mailError);
+      }
+    }
+
     res.json({
       id: user._id,
       name: user.name,
       email: user.email,
       role: user.role,
       status: user.status,
+      emailVerified: user.isEmailVerified(),
       statusHistory: user.statusHistory,
       createdAt: user.createdAt,
       lastLogin: user.lastLogin,
@@ -528,11 +1023,15 @@ router.put('/profile', auth, async (req, res) => {
     if (error instanceof z.ZodError) {
       return res.status(400).json({ message: error.errors[0].message });
     }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'Email already exists' });
+    }
     res.status(500).json({ message: 'Server error during profile update' });
   }
 });
 
-// Delete user route (superuser only)
+// Delete user route (superuser only). The account is anonymised rather
+// than removed so orders and logs keep a valid reference.
 router.delete('/users/:userId', auth, async (req, res) => {
   try {
     // Check if the requester is a superuser
@@ -542,7 +1041,7 @@ router.delete('/users/:userId', auth, async (req, res) => {
 
     const userToDelete = await User.findById(req.params.userId);
     
-    if (!userToDelete) {
+    if (!userToDelete || userToDelete.anonymisedAt) {
       return res.status(404).json({ message: 'User not found' });
     }
 
@@ -551,6 +1050,14 @@ router.delete('/users/:userId', auth, async (req, res) => {
       return res.status(403).json({ message: 'Superadmin users cannot be deleted' });
     }
 
+    const openOrders = await countOpenOrders(userToDelete);
+    if (openOrders) {
+      return res.status(409).json({
+        message: 'User has orders that are still pending or being processed',
+        openOrders
+      });
+    }
+
     // Log the deletion
     await SystemLog.create({
       level: 'warning',
@@ -558,14 +1065,12 @@ router.delete('/users/:userId', auth, async (req, res) => {
       action: 'USER_DELETED',
       user: req.user.id,
       details: {
-        deletedUserId: userToDelete._id,
-        deletedUserEmail: userToDelete.email
+        deletedUserId: userToDelete._id
       },
       timestamp: new Date()
     });
 
-    // Delete the user
-    await User.findByIdAndDelete(req.params.userId);
+    await anonymiseUser(userToDelete._id, { reason: 'admin_deletion', performedBy: req.user.id });
 
     res.json({ message: 'User deleted successfully' });
   } catch (error) {
@@ -574,46 +1079,202 @@ router.delete('/users/:userId', auth, async (req, res) => {
   }
 });
 
-// Reset vendor password route
-router.post('/reset-vendor-password', async (req, res) => {
+// Confirm an email address from a verification link
+router.post('/verify-email', async (req, res) => {
   try {
-    const { email } = req.body;
-    
-    // Find vendor user
-    const user = await User.findOne({ 
-      email: email.toLowerCase(),
-      role: 'vendor'
+    const { token } = verifyEmailSchema.parse(req.body);
+    const decoded = verifyVerificationToken(token);
+    if (!decoded) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    // The link only counts for the address it was sent to
+    const user = await User.findOne({ _id: decoded.userId, email: decoded.email });
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    if (user.isEmailVerified()) {
+      return res.json({ message: 'Email already verified', emailVerified: true });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { emailVerified: true, emailVerifiedAt: new Date() },
+        $unset: { emailVerification: '' }
+      }
+    );
+
+    await SystemLog.create({
+      level: 'info',
+      message: `Email verified for ${user.email}`,
+      action: 'EMAIL_VERIFIED',
+      user: user._id,
+      details: { method: 'link' },
+      timestamp: new Date()
+    });
+
+    res.json({ message: 'Email verified successfully', emailVerified: true });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ message: error.errors[0].message });
+    }
+    res.status(500).json({ message: 'Error verifying email' });
+  }
+});
+
+// Send a new verification link
+router.post('/verify-email/resend', async (req, res) => {
+  try {
+    const { email } = resendVerificationSchema.parse(req.body);
+
+    // Same response whatever happens, so the endpoint can't be used to
+    // discover registered or unverified emails
+    const response = { message: 'If this email needs verifying, a new link has been sent' };
+
+    const user = await User.findOne({ email: email.toLowerCase(), emailVerified: false });
+    if (!user) {
+      return res.json(response);
+    }
+
+    const sent = await sendVerificationEmail(user);
+    if (!sent) {
+      await SystemLog.create({
+        level: 'warning',
+        message: `Verification resend rate limited for ${user.email}`,
+        action: 'EMAIL_VERIFICATION_RATE_LIMITED',
+        user: user._id,
+        details: { ip: req.ip },
+        timestamp: new Date()
+      });
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Verification resend error:', error);
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ message: error.errors[0].message });
+    }
+    res.status(500).json({ message: 'Error sending verification email' });
+  }
+});
+
+// Request a password reset email
+router.post('/password-reset/request', async (req, res) => {
+  try {
+    const { email } = passwordResetRequestSchema.parse(req.body);
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    // Same response whether or not the account exists, so the endpoint
+    // can't be used to discover registered emails
+    const response = { message: 'If an account exists for this email, a reset link has been sent' };
+
+    if (!user) {
+      await SystemLog.create({
+        level: 'info',
+        message: 'Password reset requested for unknown email',
+        action: 'PASSWORD_RESET_REQUESTED',
+        details: { email: email.toLowerCase(), accountFound: false },
+        timestamp: new Date()
+      });
+      return res.json(response);
+    }
+
+    // Issuing a new token replaces any earlier one
+    const token = crypto.randomBytes(32).toString('hex');
+    await User.updateOne({ _id: user._id }, {
+      passwordReset: {
+        tokenHash: hashResetToken(token),
+        expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MS),
+        requestedAt: new Date()
+      }
+    });
+
+    const link = clientUrl(`/reset-password?token=${token}`);
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your PharmaLink password',
+      text: `Hello ${user.name},\n\nUse the link below to choose a new password. ` +
+        `It expires in 1 hour and can only be used once.\n\n${link}\n\n` +
+        'If you did not request this, you can ignore this email.'
+    });
+
+    await SystemLog.create({
+      level: 'info',
+      message: 'Password reset requested',
+      action: 'PASSWORD_RESET_REQUESTED',
+      user: user._id,
+      details: { accountFound: true },
+      timestamp: new Date()
     });
 
+    res.json(response);
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ message: error.errors[0].message });
+    }
+    res.status(500).json({ message: 'Error requesting password reset' });
+  }
+});
+
+// Set a new password using a reset token
+router.post('/password-reset/confirm', async (req, res) => {
+  try {
+    const { token, password } = passwordResetConfirmSchema.parse(req.body);
+
+    // Consuming the token in the lookup makes it single-use
+    const user = await User.findOneAndUpdate(
+      {
+        'passwordReset.tokenHash': hashResetToken(token),
+        'passwordReset.expiresAt': { $gt: new Date() }
+      },
+      { $unset: { passwordReset: 1 } }
+    );
+
     if (!user) {
-      return res.status(404).json({ message: 'Vendor account not found' });
+      await SystemLog.create({
+        level: 'warning',
+        message: 'Invalid or expired password reset token used',
+        action: 'PASSWORD_RESET_FAILED',
+        timestamp: new Date()
+      });
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
     }
 
-    // Generate new password
-    const newPassword = 'Vendor@123';
     const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(newPassword, salt);
+    const hashedPassword = await bcrypt.hash(password, salt);
 
-    // Update password
-    user.password = hashedPassword;
-    await user.save();
+    // Bumping passwordChangedAt invalidates every token issued before now
+    await User.updateOne({ _id: user._id }, {
+      password: hashedPassword,
+      passwordChangedAt: new Date()
+    });
+    await revokeSessions({ user: user._id }, 'password_reset');
 
-    // Log password reset
     await SystemLog.create({
       level: 'info',
-      message: 'Vendor password reset',
+      message: 'Password reset completed',
       action: 'PASSWORD_RESET',
       user: user._id,
       timestamp: new Date()
     });
 
-    res.json({ 
-      message: 'Password has been reset successfully',
-      email: user.email,
-      newPassword: newPassword // Only for development/testing
-    });
+    await sendMail({
+      to: user.email,
+      subject: 'Your PharmaLink password was changed',
+      text: `Hello ${user.name},\n\nYour password was just reset and all existing sessions were signed out. ` +
+        'If this wasn\'t you, contact support@pharmalink.com immediately.'
+    }).catch(mailError => console.error('Failed to send password change notice:', mailError));
+
+    res.json({ message: 'Password has been reset successfully. Please log in with your new password.' });
   } catch (error) {
-    console.error('Password reset error:', error);
+    console.error('Password reset confirm error:', error);
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ message: error.errors[0].message });
+    }
     res.status(500).json({ message: 'Error resetting password' });
   }
 });
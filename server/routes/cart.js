@@ -0,0 +1,214 @@
+import express from 'express';
+import { z } from 'zod';
+import { auth } from '../middleware/auth.js';
+import Cart from '../models/Cart.js';
+import Product from '../models/Product.js';
+import { getActiveVendorIds, getOpenVendorIds, LISTED_STATUSES } from '../utils/catalog.js';
+
+const router = express.Router();
+
+const MAX_CART_LINES = 100;
+
+// Validation schemas
+const objectIdSchema = z.string().regex(/^[a-f\d]{24}$/i, 'Invalid product id');
+
+const quantitySchema = z.number().int().min(1, 'Quantity must be at least 1');
+
+const mergeSchema = z.object({
+  items: z.array(z.object({
+    product: objectIdSchema,
+    quantity: quantitySchema,
+    // Price the guest saw, so changes since then are reported after login
+    price: z.number().min(0).optional()
+  })).max(MAX_CART_LINES)
+});
+
+const validationError = (res, error) => res.status(400).json({
+  message: 'Validation failed',
+  errors: error.errors.map(e => ({
+    field: e.path.join('.'),
+    message: e.message
+  }))
+});
+
+// Check every line against the current catalog. Price changes are reported
+// once and then accepted as the new reference price for the line.
+const validateCart = async (cart) => {
+  const [products, activeVendorIds, openVendorIds] = await Promise.all([
+    Product.find({ _id: { $in: cart.items.map(item => item.product) } })
+      .select('name price stock status images vendor'),
+    getActiveVendorIds(),
+    getOpenVendorIds()
+  ]);
+  const productsById = new Map(products.map(p => [p._id.toString(), p]));
+  const activeVendors = new Set(activeVendorIds.map(id => id.toString()));
+  const openVendors = new Set(openVendorIds.map(id => id.toString()));
+
+  const items = [];
+  const priceChanged = [];
+  const unavailable = [];
+  let subtotal = 0;
+  let modified = false;
+
+  for (const item of cart.items) {
+    const product = productsById.get(item.product.toString());
+    const line = {
+      product: item.product,
+      quantity: item.quantity,
+      price: product?.price,
+      name: product?.name,
+      image: product?.images?.[0]?.url,
+      available: true,
+      issues: []
+    };
+
+    if (!product || !LISTED_STATUSES.includes(product.status) || !activeVendors.has(product.vendor.toString())) {
+      line.available = false;
+      line.issues.push('unavailable');
+    } else if (!openVendors.has(product.vendor.toString())) {
+      line.available = false;
+      line.issues.push('storeClosed');
+    } else if (product.stock <= 0) {
+      line.available = false;
+      line.issues.push('outOfStock');
+    } else if (product.stock < item.quantity) {
+      line.issues.push('insufficientStock');
+      line.availableQuantity = product.stock;
+    }
+
+    if (product && item.price !== undefined && item.price !== product.price) {
+      line.issues.push('priceChanged');
+      line.previousPrice = item.price;
+      priceChanged.push({ product: item.product, previousPrice: item.price, price: product.price });
+    }
+    if (product && item.price !== product.price) {
+      item.price = product.price;
+      modified = true;
+    }
+
+    if (!line.available) {
+      unavailable.push({ product: item.product, reason: line.issues[0] });
+    } else {
+      subtotal += product.price * item.quantity;
+    }
+
+    items.push(line);
+  }
+
+  if (modified) {
+    await cart.save();
+  }
+
+  return {
+    items,
+    subtotal: Math.round(subtotal * 100) / 100,
+    changes: { priceChanged, unavailable },
+    updatedAt: cart.updatedAt
+  };
+};
+
+const getCart = async (userId) => {
+  return Cart.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId, items: [] } },
+    { upsert: true, new: true }
+  );
+};
+
+router.use(auth);
+
+// Get the stored cart, re-validated against the catalog
+router.get('/', async (req, res) => {
+  try {
+    const cart = await getCart(req.user.id);
+    res.json(await validateCart(cart));
+  } catch (error) {
+    console.error('Error fetching cart:', error);
+    res.status(500).json({ message: 'Error fetching cart' });
+  }
+});
+
+// Merge a guest cart from the browser into the stored cart
+router.post('/merge', async (req, res) => {
+  try {
+    const { items } = mergeSchema.parse(req.body);
+    const cart = await getCart(req.user.id);
+
+    for (const guestItem of items) {
+      const existing = cart.items.find(item => item.product.toString() === guestItem.product);
+      if (existing) {
+        existing.quantity += guestItem.quantity;
+      } else if (cart.items.length < MAX_CART_LINES) {
+        cart.items.push(guestItem);
+      }
+    }
+
+    await cart.save();
+    res.json(await validateCart(cart));
+  } catch (error) {
+    console.error('Error merging cart:', error);
+    if (error.name === 'ZodError') {
+      return validationError(res, error);
+    }
+    res.status(500).json({ message: 'Error merging cart' });
+  }
+});
+
+// Add a product or set its quantity
+router.put('/items/:productId', async (req, res) => {
+  try {
+    const productId = objectIdSchema.parse(req.params.productId);
+    const quantity = quantitySchema.parse(req.body.quantity);
+
+    const product = await Product.findOne({ _id: productId, status: { $in: LISTED_STATUSES } }).select('price');
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const cart = await getCart(req.user.id);
+    const existing = cart.items.find(item => item.product.toString() === productId);
+    if (existing) {
+      existing.quantity = quantity;
+    } else {
+      if (cart.items.length >= MAX_CART_LINES) {
+        return res.status(400).json({ message: 'Cart is full' });
+      }
+      cart.items.push({ product: productId, quantity, price: product.price });
+    }
+
+    await cart.save();
+    res.json(await validateCart(cart));
+  } catch (error) {
+    console.error('Error updating cart item:', error);
+    if (error.name === 'ZodError') {
+      return validationError(res, error);
+    }
+    res.status(500).json({ message: 'Error updating cart' });
+  }
+});
+
+// Remove a product from the cart
+router.delete('/items/:productId', async (req, res) => {
+  try {
+    const cart = await getCart(req.user.id);
+    cart.items = cart.items.filter(item => item.product.toString() !== req.params.productId);
+    await cart.save();
+    res.json(await validateCart(cart));
+  } catch (error) {
+    console.error('Error removing cart item:', error);
+    res.status(500).json({ message: 'Error updating cart' });
+  }
+});
+
+// Empty the cart
+router.delete('/', async (req, res) => {
+  try {
+    await Cart.updateOne({ user: req.user.id }, { $set: { items: [] } });
+    res.json({ message: 'Cart cleared successfully' });
+  } catch (error) {
+    console.error('Error clearing cart:', error);
+    res.status(500).json({ message: 'Error clearing cart' });
+  }
+});
+
+export default router;
@@ -0,0 +1,256 @@
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { z } from 'zod';
+import { auth } from '../middleware/auth.js';
+import { vendorDocumentUpload } from '../middleware/upload.js';
+import User from '../models/User.js';
+import SystemLog from '../models/SystemLog.js';
+
+const router = express.Router();
+
+// Onboarding can only be edited before submission or after an admin asked
+// for changes
+const EDITABLE_STATUSES = ['notSubmitted', 'changesRequested'];
+
+const documentTypeSchema = z.enum(User.vendorDocumentTypes());
+
+const submitSchema = z.object({
+  note: z.string().trim().max(2000).optional()
+});
+
+const requireVendorAccount = (req, res, next) => {
+  if (req.user.role !== 'vendor') {
+    return res.status(403).json({ message: 'Access denied. Vendor privileges required.' });
+  }
+  next();
+};
+
+const removeFile = (filePath) => {
+  if (filePath) {
+    fs.unlink(filePath, (err) => {
+      if (err) console.error('Failed to remove vendor document:', err);
+    });
+  }
+};
+
+const onboardingStatus = (user) => user.onboarding?.status || 'notSubmitted';
+
+const toOnboarding = (user) => ({
+  status: onboardingStatus(user),
+  accountStatus: user.status,
+  emailVerified: user.isEmailVerified(),
+  documents: (user.onboarding?.documents || []).map(doc => ({
+    id: doc._id,
+    type: doc.type,
+    originalName: doc.originalName,
+    mimeType: doc.mimeType,
+    size: doc.size,
+    uploadedAt: doc.uploadedAt
+  })),
+  requiredDocuments: User.requiredVendorDocuments(),
+  missingDocuments: user.missingVendorDocuments(),
+  comments: user.onboarding?.comments || [],
+  submittedAt: user.onboarding?.submittedAt,
+  reviewedAt: user.onboarding?.reviewedAt
+});
+
+router.use(auth);
+router.use(requireVendorAccount);
+
+// Get the vendor's onboarding state
+router.get('/', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(toOnboarding(user));
+  } catch (error) {
+    console.error('Error fetching onboarding:', error);
+    res.status(500).json({ message: 'Error fetching onboarding status' });
+  }
+});
+
+// Upload a licence or other KYC document. A new upload of a required type
+// replaces the previous one.
+router.post('/documents', (req, res) => {
+  vendorDocumentUpload.single('document')(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({ message: err.message });
+    }
+
+    try {
+      if (!req.file) {
+        return res.status(400).json({ message: 'Document file is required' });
+      }
+
+      const type = documentTypeSchema.safeParse(req.body.type);
+      if (!type.success) {
+        removeFile(req.file?.path);
+        return res.status(400).json({
+          message: 'Invalid document type',
+          allowedTypes: User.vendorDocumentTypes()
+        });
+      }
+
+      const user = await User.findById(req.user.id);
+      if (!user) {
+        removeFile(req.file?.path);
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      if (!EDITABLE_STATUSES.includes(onboardingStatus(user))) {
+        removeFile(req.file?.path);
+        return res.status(409).json({
+          message: 'Documents can no longer be changed',
+          status: onboardingStatus(user)
+        });
+      }
+
+      if (!user.onboarding) {
+        user.onboarding = { status: 'notSubmitted', documents: [] };
+      }
+
+      const replaced = type.data === 'other'
+        ? []
+        : user.onboarding.documents.filter(doc => doc.type === type.data);
+      replaced.forEach(doc => user.onboarding.documents.pull(doc._id));
+
+      user.onboarding.documents.push({
+        type: type.data,
+        file: req.file.path,
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+        uploadedAt: new Date()
+      });
+
+      await user.save();
+      replaced.forEach(doc => removeFile(doc.file));
+
+      res.status(201).json(toOnboarding(user));
+    } catch (error) {
+      removeFile(req.file?.path);
+      console.error('Error uploading vendor document:', error);
+      res.status(500).json({ message: 'Error uploading document' });
+    }
+  });
+});
+
+// Download one of the vendor's own documents
+router.get('/documents/:documentId/file', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const document = user?.onboarding?.documents.id(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    res.type(document.mimeType);
+    res.sendFile(path.resolve(document.file));
+  } catch (error) {
+    console.error('Error fetching vendor document:', error);
+    res.status(500).json({ message: 'Error fetching document' });
+  }
+});
+
+// Remove a document before submission
+router.delete('/documents/:documentId', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const document = user?.onboarding?.documents.id(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    if (!EDITABLE_STATUSES.includes(onboardingStatus(user))) {
+      return res.status(409).json({
+        message: 'Documents can no longer be changed',
+        status: onboardingStatus(user)
+      });
+    }
+
+    user.onboarding.documents.pull(document._id);
+    await user.save();
+    removeFile(document.file);
+
+    res.json(toOnboarding(user));
+  } catch (error) {
+    console.error('Error deleting vendor document:', error);
+    res.status(500).json({ message: 'Error deleting document' });
+  }
+});
+
+// Submit the application for admin review
+router.post('/submit', async (req, res) => {
+  try {
+    const { note } = submitSchema.parse(req.body);
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!EDITABLE_STATUSES.includes(onboardingStatus(user))) {
+      return res.status(409).json({
+        message: 'Application has already been submitted',
+        status: onboardingStatus(user)
+      });
+    }
+
+    if (!user.isEmailVerified()) {
+      return res.status(403).json({
+        message: 'Please verify your email address before submitting your application',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    const missing = user.missingVendorDocuments();
+    if (missing.length) {
+      return res.status(400).json({
+        message: 'Required documents are missing',
+        missingDocuments: missing
+      });
+    }
+
+    const resubmission = onboardingStatus(user) === 'changesRequested';
+    user.onboarding.status = 'submitted';
+    user.onboarding.submittedAt = new Date();
+    if (note) {
+      user.onboarding.comments.push({ author: user._id, from: 'vendor', message: note });
+    }
+    user.statusHistory.unshift({
+      status: user.status,
+      action: resubmission ? 'onboarding_resubmitted' : 'onboarding_submitted',
+      reason: note,
+      timestamp: new Date(),
+      updatedBy: user._id
+    });
+
+    await user.save();
+
+    await SystemLog.create({
+      level: 'info',
+      message: `Vendor application submitted by ${user.email}`,
+      action: 'VENDOR_ONBOARDING_SUBMITTED',
+      user: user._id,
+      details: {
+        documents: user.onboarding.documents.map(doc => doc.type),
+        resubmission
+      },
+      timestamp: new Date()
+    });
+
+    res.json(toOnboarding(user));
+  } catch (error) {
+    console.error('Error submitting vendor application:', error);
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: error.errors[0].message });
+    }
+    res.status(500).json({ message: 'Error submitting application' });
+  }
+});
+
+export default router;
@@ -0,0 +1,323 @@
+import express from 'express';
+import fs from 'fs';
+import mongoose from 'mongoose';
+import { z } from 'zod';
+import { auth, requireVerifiedEmail } from '../middleware/auth.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import Cart from '../models/Cart.js';
+import SystemLog from '../models/SystemLog.js';
+import { reserveStock, releaseStock } from '../utils/inventory.js';
+import { cancelPendingOrder } from '../utils/orders.js';
+import { getOpenVendorIds } from '../utils/catalog.js';
+import { prescriptionUpload } from '../middleware/upload.js';
+
+const router = express.Router();
+
+// Validation schemas
+const objectIdSchema = z.string().regex(/^[a-f\d]{24}$/i, 'Invalid product id');
+
+const createOrderSchema = z.object({
+  items: z.array(z.object({
+    product: objectIdSchema,
+    quantity: z.number().int().min(1, 'Quantity must be at least 1')
+  })).min(1, 'Order must contain at least one item'),
+  shippingAddress: z.object({
+    street: z.string().min(1, 'Street is required'),
+    city: z.string().min(1, 'City is required'),
+    state: z.string().optional(),
+    zipCode: z.string().optional(),
+    country: z.string().min(1, 'Country is required')
+  })
+});
+
+// Accept an optional prescription file. Multipart checkouts send the
+// structured fields as JSON strings, so decode them for validation.
+const handlePrescriptionUpload = (req, res, next) => {
+  prescriptionUpload.single('prescription')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ message: err.message });
+    }
+
+    try {
+      for (const field of ['items', 'shippingAddress']) {
+        if (typeof req.body[field] === 'string') {
+          req.body[field] = JSON.parse(req.body[field]);
+        }
+      }
+    } catch (parseError) {
+      removeUploadedFile(req.file);
+      return res.status(400).json({ message: 'Invalid order data' });
+    }
+
+    next();
+  });
+};
+
+const removeUploadedFile = (file) => {
+  if (file) {
+    fs.unlink(file.path, (err) => {
+      if (err) console.error('Failed to remove uploaded file:', err);
+    });
+  }
+};
+
+const toPrescription = (file) => ({
+  file: file.path,
+  originalName: file.originalname,
+  mimeType: file.mimetype,
+  uploadedAt: new Date(),
+  status: 'pending'
+});
+
+router.use(auth);
+
+// Place a new order from cart lines
+router.post('/', requireVerifiedEmail, handlePrescriptionUpload, async (req, res) => {
+  try {
+    const { items, shippingAddress } = createOrderSchema.parse(req.body);
+
+    // Merge duplicate lines for the same product
+    const quantities = new Map();
+    for (const item of items) {
+      quantities.set(item.product, (quantities.get(item.product) || 0) + item.quantity);
+    }
+
+    // Products from closed or deactivated stores can't be ordered
+    const products = await Product.find({
+      _id: { $in: [...quantities.keys()] },
+      status: 'published',
+      vendor: { $in: await getOpenVendorIds() }
+    });
+
+    if (products.length !== quantities.size) {
+      removeUploadedFile(req.file);
+      const found = new Set(products.map(p => p._id.toString()));
+      return res.status(400).json({
+        message: 'Some products are not available',
+        unavailable: [...quantities.keys()].filter(id => !found.has(id))
+      });
+    }
+
+    // Prices always come from the catalog, never from the client
+    const lines = products.map(product => ({
+      product: product._id,
+      quantity: quantities.get(product._id.toString()),
+      price: product.price,
+      vendor: product.vendor,
+      requiresPrescription: product.requiresPrescription
+    }));
+    const requiresPrescription = lines.some(line => line.requiresPrescription);
+    const total = Math.round(
+      lines.reduce((sum, line) => sum + line.price * line.quantity, 0) * 100
+    ) / 100;
+
+    // The id is chosen up front so stock movements can point at the order
+    const orderId = new mongoose.Types.ObjectId();
+
+    let reserved;
+    try {
+      reserved = await reserveStock(lines, { actor: req.user.id, order: orderId });
+    } catch (stockError) {
+      if (stockError.code === 'INSUFFICIENT_STOCK') {
+        removeUploadedFile(req.file);
+        return res.status(409).json({
+          message: 'Insufficient stock for one or more products',
+          product: stockError.product
+        });
+      }
+      throw stockError;
+    }
+
+    let order;
+    try {
+      order = await Order.create({
+        _id: orderId,
+        user: req.user.id,
+        products: lines.map((line, i) => ({ ...line, allocations: reserved[i].allocations })),
+        total,
+        shippingAddress,
+        requiresPrescription,
+        // Prescriptions uploaded for orders without Rx items are not kept
+        ...(requiresPrescription && {
+          prescription: req.file ? toPrescription(req.file) : { status: 'awaitingUpload' }
+        })
+      });
+      if (!requiresPrescription) {
+        removeUploadedFile(req.file);
+      }
+    } catch (createError) {
+      await releaseStock(reserved, { actor: req.user.id, order: orderId, reason: 'Order could not be created' });
+      throw createError;
+    }
+
+    // Ordered products leave the stored cart
+    await Cart.updateOne(
+      { user: req.user.id },
+      { $pull: { items: { product: { $in: lines.map(line => line.product) } } } }
+    );
+
+    await SystemLog.create({
+      level: 'info',
+      message: `Order ${order._id} placed`,
+      action: 'ORDER_CREATED',
+      user: req.user.id,
+      details: { orderId: order._id, total },
+      timestamp: new Date()
+    });
+
+    res.status(201).json(order);
+  } catch (error) {
+    console.error('Order creation error:', error);
+    removeUploadedFile(req.file);
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: error.errors.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    res.status(500).json({ message: 'Error creating order' });
+  }
+});
+
+// Get the current user's orders
+router.get('/', async (req, res) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+    const query = { user: req.user.id };
+
+    if (status) {
+      query.status = status;
+    }
+
+    const orders = await Order.find(query)
+      .populate('products.product', 'name images')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await Order.countDocuments(query);
+
+    res.json({
+      orders,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching orders:', error);
+    res.status(500).json({ message: 'Error fetching orders' });
+  }
+});
+
+// Get a single order
+router.get('/:orderId', async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.orderId,
+      user: req.user.id
+    }).populate('products.product', 'name images price');
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    res.json(order);
+  } catch (error) {
+    console.error('Error fetching order:', error);
+    res.status(500).json({ message: 'Error fetching order' });
+  }
+});
+
+// Upload or replace the prescription for a pending order
+router.post('/:orderId/prescription', (req, res) => {
+  prescriptionUpload.single('prescription')(req, res, async (err) => {
+    try {
+      if (err) {
+        return res.status(400).json({ message: err.message });
+      }
+      if (!req.file) {
+        return res.status(400).json({ message: 'Prescription file is required' });
+      }
+
+      // Approved prescriptions are final; a rejected one can be replaced
+      const order = await Order.findOneAndUpdate(
+        {
+          _id: req.params.orderId,
+          user: req.user.id,
+          status: 'pending',
+          requiresPrescription: true,
+          'prescription.status': { $ne: 'approved' }
+        },
+        { prescription: toPrescription(req.file), updatedAt: new Date() }
+      );
+
+      if (!order) {
+        removeUploadedFile(req.file);
+        return res.status(400).json({
+          message: 'Prescription can only be uploaded for pending orders awaiting one'
+        });
+      }
+
+      // Drop the file this upload replaced
+      if (order.prescription?.file) {
+        removeUploadedFile({ path: order.prescription.file });
+      }
+
+      await SystemLog.create({
+        level: 'info',
+        message: `Prescription uploaded for order ${order._id}`,
+        action: 'PRESCRIPTION_UPLOADED',
+        user: req.user.id,
+        details: { orderId: order._id },
+        timestamp: new Date()
+      });
+
+      const updated = await Order.findById(order._id);
+      res.json(updated);
+    } catch (error) {
+      console.error('Error uploading prescription:', error);
+      removeUploadedFile(req.file);
+      res.status(500).json({ message: 'Error uploading prescription' });
+    }
+  });
+});
+
+// Cancel an order that has not been processed yet
+router.put('/:orderId/cancel', async (req, res) => {
+  try {
+    const order = await cancelPendingOrder(
+      { _id: req.params.orderId, user: req.user.id },
+      { actor: req.user.id, reason: 'Cancelled by customer' }
+    );
+
+    if (!order) {
+      const exists = await Order.exists({ _id: req.params.orderId, user: req.user.id });
+      if (!exists) {
+        return res.status(404).json({ message: 'Order not found' });
+      }
+      return res.status(400).json({ message: 'Only pending orders can be cancelled' });
+    }
+
+    await SystemLog.create({
+      level: 'info',
+      message: `Order ${order._id} cancelled by customer`,
+      action: 'ORDER_CANCELLED',
+      user: req.user.id,
+      details: { orderId: order._id },
+      timestamp: new Date()
+    });
+
+    res.json(order);
+  } catch (error) {
+    console.error('Error cancelling order:', error);
+    res.status(500).json({ message: 'Error cancelling order' });
+  }
+});
+
+export default router;
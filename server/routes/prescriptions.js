@@ -0,0 +1,132 @@
+import express from 'express';
+import path from 'path';
+import { auth } from '../middleware/auth.js';
+import Order from '../models/Order.js';
+import SystemLog from '../models/SystemLog.js';
+
+const router = express.Router();
+
+// Prescriptions are reviewed by the dispensing vendor or by an admin
+const requireReviewer = (req, res, next) => {
+  if (!['vendor', 'admin', 'superadmin'].includes(req.user.role)) {
+    return res.status(403).json({ message: 'Access denied. Vendor or admin privileges required.' });
+  }
+  if (req.user.role === 'vendor' && req.user.status !== 'active') {
+    return res.status(403).json({ message: 'Your vendor account has not been approved yet' });
+  }
+  next();
+};
+
+// Vendors only see orders where they sell one of the Rx items
+const scopeToReviewer = (req, query) => {
+  if (req.user.role === 'vendor') {
+    query.products = { $elemMatch: { vendor: req.user.id, requiresPrescription: true } };
+  }
+  return query;
+};
+
+router.use(auth);
+router.use(requireReviewer);
+
+// Get the prescription review queue
+router.get('/', async (req, res) => {
+  try {
+    const { status = 'pending', page = 1, limit = 10 } = req.query;
+    const query = scopeToReviewer(req, {
+      requiresPrescription: true,
+      'prescription.status': status
+    });
+
+    const orders = await Order.find(query)
+      .select('user products prescription status createdAt')
+      .populate('user', 'name email')
+      .populate('products.product', 'name requiresPrescription')
+      .sort({ 'prescription.uploadedAt': 1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await Order.countDocuments(query);
+
+    res.json({
+      orders,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching prescription queue:', error);
+    res.status(500).json({ message: 'Error fetching prescriptions' });
+  }
+});
+
+// Download the prescription file for an order
+router.get('/:orderId/file', async (req, res) => {
+  try {
+    const order = await Order.findOne(scopeToReviewer(req, {
+      _id: req.params.orderId,
+      requiresPrescription: true
+    }));
+
+    if (!order?.prescription?.file) {
+      return res.status(404).json({ message: 'Prescription not found' });
+    }
+
+    res.type(order.prescription.mimeType);
+    res.sendFile(path.resolve(order.prescription.file));
+  } catch (error) {
+    console.error('Error fetching prescription file:', error);
+    res.status(500).json({ message: 'Error fetching prescription file' });
+  }
+});
+
+// Approve or reject a prescription
+router.put('/:orderId/review', async (req, res) => {
+  try {
+    const { decision, reason } = req.body;
+
+    if (!['approved', 'rejected'].includes(decision)) {
+      return res.status(400).json({ message: 'Decision must be approved or rejected' });
+    }
+    if (decision === 'rejected' && !reason?.trim()) {
+      return res.status(400).json({ message: 'A reason is required when rejecting a prescription' });
+    }
+
+    const order = await Order.findOneAndUpdate(
+      scopeToReviewer(req, {
+        _id: req.params.orderId,
+        status: 'pending',
+        'prescription.status': 'pending'
+      }),
+      {
+        'prescription.status': decision,
+        'prescription.reason': reason?.trim(),
+        'prescription.reviewedBy': req.user.id,
+        'prescription.reviewedAt': new Date(),
+        updatedAt: new Date()
+      },
+      { new: true }
+    );
+
+    if (!order) {
+      return res.status(404).json({ message: 'No prescription awaiting review for this order' });
+    }
+
+    await SystemLog.create({
+      level: 'info',
+      message: `Prescription for order ${order._id} ${decision}`,
+      action: decision === 'approved' ? 'PRESCRIPTION_APPROVED' : 'PRESCRIPTION_REJECTED',
+      user: req.user.id,
+      details: { orderId: order._id, reason: order.prescription.reason },
+      timestamp: new Date()
+    });
+
+    res.json(order);
+  } catch (error) {
+    console.error('Error reviewing prescription:', error);
+    res.status(500).json({ message: 'Error reviewing prescription' });
+  }
+});
+
+export default router;
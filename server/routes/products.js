@@ -0,0 +1,335 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { z } from 'zod';
+import { auth } from '../middleware/auth.js';
+import Product from '../models/Product.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import { getActiveVendorIds, LISTED_STATUSES } from '../utils/catalog.js';
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 50;
+
+const SORT_OPTIONS = {
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: 1 },
+  rating: { 'ratings.average': -1, 'ratings.count': -1, _id: 1 },
+  newest: { createdAt: -1, _id: 1 },
+  relevance: { score: -1, _id: 1 }
+};
+
+// Fields exposed to the public; batches and internal data stay private
+const PUBLIC_FIELDS = {
+  name: 1,
+  description: 1,
+  price: 1,
+  category: 1,
+  manufacturer: 1,
+  stock: 1,
+  images: 1,
+  ratings: 1,
+  tags: 1,
+  requiresPrescription: 1,
+  createdAt: 1
+};
+
+const reviewSchema = z.object({
+  rating: z.number().int().min(1, 'Rating must be between 1 and 5').max(5, 'Rating must be between 1 and 5'),
+  comment: z.string().trim().max(2000, 'Comment is too long').optional()
+});
+
+const validationError = (res, error) => res.status(400).json({
+  message: 'Validation failed',
+  errors: error.errors.map(e => ({
+    field: e.path.join('.'),
+    message: e.message
+  }))
+});
+
+const toList = (value) => (value ? value.toString().split(',').map(v => v.trim()).filter(Boolean) : []);
+
+// Search and browse published products
+router.get('/', async (req, res) => {
+  try {
+    const {
+      q,
+      minPrice,
+      maxPrice,
+      inStock,
+      page = 1,
+      limit = 12
+    } = req.query;
+    const categories = toList(req.query.category);
+    const manufacturers = toList(req.query.manufacturer);
+    const pageSize = Math.min(parseInt(limit) || 12, MAX_PAGE_SIZE);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const sort = req.query.sort || (q ? 'relevance' : 'newest');
+
+    if (!SORT_OPTIONS[sort] || (sort === 'relevance' && !q)) {
+      return res.status(400).json({ message: 'Invalid sort option' });
+    }
+
+    const base = {
+      status: { $in: LISTED_STATUSES },
+      vendor: { $in: await getActiveVendorIds() }
+    };
+    if (q) base.$text = { $search: q };
+    if (minPrice || maxPrice) {
+      base.price = {};
+      if (minPrice) base.price.$gte = parseFloat(minPrice);
+      if (maxPrice) base.price.$lte = parseFloat(maxPrice);
+    }
+    if (inStock === 'true') base.stock = { $gt: 0 };
+
+    const categoryMatch = categories.length ? { category: { $in: categories } } : {};
+    const manufacturerMatch = manufacturers.length ? { manufacturer: { $in: manufacturers } } : {};
+
+    // Each facet ignores its own filter so the sidebar keeps showing the
+    // alternatives a shopper can switch to
+    const [result] = await Product.aggregate([
+      { $match: base },
+      ...(q ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+      {
+        $facet: {
+          products: [
+            { $match: { ...categoryMatch, ...manufacturerMatch } },
+            { $sort: SORT_OPTIONS[sort] },
+            { $skip: (pageNumber - 1) * pageSize },
+            { $limit: pageSize },
+            {
+              $lookup: {
+                from: User.collection.name,
+                localField: 'vendor',
+                foreignField: '_id',
+                as: 'vendor'
+              }
+            },
+            { $unwind: '$vendor' },
+            {
+              $project: {
+                ...PUBLIC_FIELDS,
+                vendor: { _id: '$vendor._id', storeName: '$vendor.storeDetails.storeName' }
+              }
+            }
+          ],
+          total: [
+            { $match: { ...categoryMatch, ...manufacturerMatch } },
+            { $count: 'count' }
+          ],
+          categories: [
+            { $match: manufacturerMatch },
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+          ],
+          manufacturers: [
+            { $match: { ...categoryMatch, manufacturer: { $nin: [null, ''] } } },
+            { $group: { _id: '$manufacturer', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+
+    res.json({
+      products: result.products,
+      facets: {
+        categories: result.categories.map(f => ({ value: f._id, count: f.count })),
+        manufacturers: result.manufacturers.map(f => ({ value: f._id, count: f.count }))
+      },
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Error searching products:', error);
+    res.status(500).json({ message: 'Error fetching products' });
+  }
+});
+
+// Get a single published product
+router.get('/:productId', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.productId)) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const product = await Product.findOne({
+      _id: req.params.productId,
+      status: { $in: LISTED_STATUSES },
+      vendor: { $in: await getActiveVendorIds() }
+    })
+      .select({ ...PUBLIC_FIELDS, specifications: 1, dimensions: 1, vendor: 1, reviews: 1 })
+      .populate('vendor', 'storeDetails.storeName storeDetails.logo')
+      .populate('reviews.user', 'name');
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const response = product.toObject();
+    response.reviews = response.reviews.filter(review => !review.hidden);
+    res.json(response);
+  } catch (error) {
+    console.error('Error fetching product:', error);
+    res.status(500).json({ message: 'Error fetching product' });
+  }
+});
+
+// Get the visible reviews for a product
+router.get('/:productId/reviews', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.productId)) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const { page = 1, limit = 10 } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 10, MAX_PAGE_SIZE);
+    const product = await Product.findOne({ _id: req.params.productId, status: { $in: LISTED_STATUSES } })
+      .select('reviews ratings')
+      .populate('reviews.user', 'name');
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const visible = product.reviews
+      .filter(review => !review.hidden)
+      .sort((a, b) => b.date - a.date);
+
+    res.json({
+      ratings: product.ratings,
+      reviews: visible.slice((page - 1) * pageSize, page * pageSize),
+      pagination: {
+        total: visible.length,
+        page: parseInt(page),
+        pages: Math.ceil(visible.length / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({ message: 'Error fetching reviews' });
+  }
+});
+
+// Post a review; only customers who received the product may review it
+router.post('/:productId/reviews', auth, async (req, res) => {
+  try {
+    const { rating, comment } = reviewSchema.parse(req.body);
+    const { productId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(productId) || !await Product.exists({ _id: productId })) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const purchased = await Order.exists({
+      user: req.user.id,
+      $or: [
+        { products: { $elemMatch: { product: productId, status: 'completed' } } },
+        { status: 'completed', products: { $elemMatch: { product: productId, status: { $ne: 'cancelled' } } } }
+      ]
+    });
+    if (!purchased) {
+      return res.status(403).json({ message: 'You can only review products from your completed orders' });
+    }
+
+    // The filter enforces one review per customer even under concurrent posts
+    const updated = await Product.findOneAndUpdate(
+      { _id: productId, 'reviews.user': { $ne: req.user.id } },
+      { $push: { reviews: { user: req.user.id, rating, comment, date: new Date() } } }
+    );
+    if (!updated) {
+      return res.status(409).json({ message: 'You have already reviewed this product' });
+    }
+
+    const product = await Product.syncRatings(productId);
+    const review = product.reviews.find(r => r.user.toString() === req.user.id.toString());
+
+    res.status(201).json({ review, ratings: product.ratings });
+  } catch (error) {
+    console.error('Error creating review:', error);
+    if (error.name === 'ZodError') {
+      return validationError(res, error);
+    }
+    res.status(500).json({ message: 'Error creating review' });
+  }
+});
+
+// Edit the current user's review
+router.put('/:productId/reviews/:reviewId', auth, async (req, res) => {
+  try {
+    const { rating, comment } = reviewSchema.parse(req.body);
+    if (!mongoose.Types.ObjectId.isValid(req.params.productId) || !mongoose.Types.ObjectId.isValid(req.params.reviewId)) {
+      return res.status(400).json({ message: 'Invalid product or review ID' });
+    }
+
+    const updated = await Product.findOneAndUpdate(
+      {
+        _id: req.params.productId,
+        reviews: { $elemMatch: { _id: req.params.reviewId, user: req.user.id } }
+      },
+      {
+        $set: {
+          'reviews.$.rating': rating,
+          'reviews.$.comment': comment,
+          'reviews.$.updatedAt': new Date()
+        }
+      }
+    );
+    if (!updated) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    const product = await Product.syncRatings(req.params.productId);
+    const review = product.reviews.id(req.params.reviewId);
+
+    res.json({ review, ratings: product.ratings });
+  } catch (error) {
+    console.error('Error updating review:', error);
+    if (error.name === 'ZodError') {
+      return validationError(res, error);
+    }
+    res.status(500).json({ message: 'Error updating review' });
+  }
+});
+
+// Delete the current user's review. Reviews hidden by a moderator stay,
+// so they keep blocking the same customer from posting the review again.
+router.delete('/:productId/reviews/:reviewId', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.productId) || !mongoose.Types.ObjectId.isValid(req.params.reviewId)) {
+      return res.status(400).json({ message: 'Invalid product or review ID' });
+    }
+
+    const updated = await Product.findOneAndUpdate(
+      {
+        _id: req.params.productId,
+        reviews: { $elemMatch: { _id: req.params.reviewId, user: req.user.id, hidden: { $ne: true } } }
+      },
+      { $pull: { reviews: { _id: req.params.reviewId, user: req.user.id } } }
+    );
+    if (!updated) {
+      const hidden = await Product.exists({
+        _id: req.params.productId,
+        reviews: { $elemMatch: { _id: req.params.reviewId, user: req.user.id, hidden: true } }
+      });
+      if (hidden) {
+        return res.status(409).json({ message: 'This review has been hidden by a moderator and cannot be deleted' });
+      }
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    const product = await Product.syncRatings(req.params.productId);
+
+    res.json({ message: 'Review deleted successfully', ratings: product.ratings });
+  } catch (error) {
+    console.error('Error deleting review:', error);
+    res.status(500).json({ message: 'Error deleting review' });
+  }
+});
+
+export default router;
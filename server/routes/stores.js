@@ -0,0 +1,95 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Product from '../models/Product.js';
+import { LISTED_STATUSES } from '../utils/catalog.js';
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 50;
+
+const SORT_OPTIONS = {
+  newest: { createdAt: -1, _id: 1 },
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: 1 },
+  rating: { 'ratings.average': -1, 'ratings.count': -1, _id: 1 }
+};
+
+const PRODUCT_FIELDS = 'name description price category manufacturer stock images ratings tags requiresPrescription createdAt';
+
+// Only the parts of a store that belong on a public storefront
+const toPublicStore = (vendor) => {
+  const store = vendor.storeDetails;
+  const open = vendor.isStoreOpen();
+
+  return {
+    id: vendor._id,
+    storeName: store.storeName,
+    description: store.description,
+    address: store.address,
+    phone: store.phone,
+    logo: store.logo,
+    openingHours: store.openingHours,
+    deliveryArea: store.deliveryArea,
+    open,
+    closure: open ? null : {
+      reason: store.closure?.reason,
+      reopensAt: store.closure?.reopensAt
+    }
+  };
+};
+
+// Get a store's public profile and published products
+router.get('/:storeId', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.storeId)) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+
+    const vendor = await User.findOne({
+      _id: req.params.storeId,
+      role: 'vendor',
+      status: 'active',
+      'storeDetails.active': true
+    }).select('role status storeDetails');
+
+    if (!vendor) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+
+    const { category, sort = 'newest', page = 1, limit = 20 } = req.query;
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_PAGE_SIZE);
+
+    const query = { vendor: vendor._id, status: { $in: LISTED_STATUSES } };
+    if (category) {
+      query.category = category;
+    }
+
+    const [products, total, categories] = await Promise.all([
+      Product.find(query)
+        .select(PRODUCT_FIELDS)
+        .sort(SORT_OPTIONS[sort] || SORT_OPTIONS.newest)
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      Product.countDocuments(query),
+      Product.distinct('category', { vendor: vendor._id, status: { $in: LISTED_STATUSES } })
+    ]);
+
+    res.json({
+      store: toPublicStore(vendor),
+      products,
+      categories,
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching store:', error);
+    res.status(500).json({ message: 'Error fetching store' });
+  }
+});
+
+export default router;
@@ -1,8 +1,21 @@
 import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+import { z } from 'zod';
 import { auth } from '../middleware/auth.js';
 import Product from '../models/Product.js';
-import multer from 'multer';
-import path from 'path';
+import User from '../models/User.js';
+import Order from '../models/Order.js';
+import SystemLog from '../models/SystemLog.js';
+import StockMovement from '../models/StockMovement.js';
+import { releaseStock, stockChanged, adjustStock } from '../utils/inventory.js';
+import { recordMovementsSafely, ledgerBalances } from '../utils/stockLedger.js';
+import { lowStockQuery } from '../utils/stockAlerts.js';
+import { toCsv, parseCsv } from '../utils/csv.js';
+import { PRODUCT_CSV_COLUMNS, MAX_IMPORT_ROWS, productToCsvRow, parseProductRow } from '../utils/productCsv.js';
+import { processProductImages, removeImageFiles } from '../utils/productImages.js';
+import { productImageUpload, storeLogoUpload, csvUpload } from '../middleware/upload.js';
 
 const router = express.Router();
 
@@ -11,31 +24,59 @@ const requireVendor = async (req, res, next) => {
   if (req.user.role !== 'vendor') {
     return res.status(403).json({ message: 'Access denied. Vendor privileges required.' });
   }
+  // Vendors still onboarding only have access to /api/onboarding
+  if (req.user.status !== 'active') {
+    return res.status(403).json({
+      message: 'Your vendor account has not been approved yet',
+      status: req.user.status
+    });
+  }
   next();
 };
 
-// Configure multer for image upload
-const storage = multer.diskStorage({
-  destination: './uploads/products',
-  filename: function(req, file, cb) {
-    cb(null, `${Date.now()}-${path.extname(file.originalname)}`);
-  }
-});
+const MAX_PRODUCT_IMAGES = 10;
+const upload = productImageUpload.array('images', 5); // Allow up to 5 images per request
 
-const upload = multer({
-  storage: storage,
-  limits: { fileSize: 5000000 }, // 5MB limit
-  fileFilter: function(req, file, cb) {
-    const filetypes = /jpeg|jpg|png|webp/;
-    const mimetype = filetypes.test(file.mimetype);
-    const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
-    
-    if (mimetype && extname) {
-      return cb(null, true);
+// Fields vendors can't set through the product form
+const PROTECTED_PRODUCT_FIELDS = ['status', 'moderation', 'vendor', 'ratings', 'reviews', 'batches', 'images', '_id', 'createdAt', 'updatedAt'];
+
+// Listings customers can currently see
+const LIVE_STATUSES = ['published', 'outOfStock'];
+// Products a vendor may send to review
+const SUBMITTABLE_STATUSES = ['draft', 'changesRequested'];
+// Final decisions; the vendor can only delete the product
+const LOCKED_STATUSES = ['rejected', 'discontinued'];
+
+// Changing what a reviewer approved takes the listing down until it has
+// been reviewed again
+const sendBackForReview = (product, changedFields, userId) => {
+  product.status = 'pendingReview';
+  product.moderation.submittedAt = new Date();
+  product.moderation.history.push({
+    action: 'resubmittedAfterEdit',
+    status: 'pendingReview',
+    reason: `Changed: ${changedFields.join(', ')}`,
+    by: userId
+  });
+};
+
+const isDuplicateSku = (error) => error.code === 11000 && /sku/.test(error.message);
+
+// Check, strip and resize uploaded images. Responds with 400 (invalid file)
+// or 500 and returns null when the upload can't be used.
+const processUploadedImages = async (req, res, alt) => {
+  try {
+    return await processProductImages(req.files, alt);
+  } catch (error) {
+    if (error.code === 'INVALID_IMAGE') {
+      res.status(400).json({ message: error.message });
+    } else {
+      console.error('Error processing product images:', error);
+      res.status(500).json({ message: 'Error processing product images' });
     }
-    cb(new Error('Only image files are allowed!'));
+    return null;
   }
-}).array('images', 5); // Allow up to 5 images
+};
 
 // Middleware to handle file upload
 router.use(auth);
@@ -50,23 +91,25 @@ router.post('/products', async (req, res) => {
       }
 
       const {
+        sku,
         name,
         description,
         price,
         category,
         stock,
+        reorderThreshold,
         specifications,
         dimensions,
-        tags
+        tags,
+        requiresPrescription
       } = req.body;
 
       // Process uploaded images
-      const images = req.files ? req.files.map(file => ({
-        url: `/uploads/products/${file.filename}`,
-        alt: name
-      })) : [];
+      const images = await processUploadedImages(req, res, name);
+      if (!images) return;
 
       const product = new Product({
+        sku: sku || undefined,
         name,
         description,
         price: parseFloat(price),
@@ -74,13 +117,33 @@ router.post('/products', async (req, res) => {
         category,
         vendor: req.user.id,
         stock: parseInt(stock),
+        reorderThreshold: reorderThreshold ? parseInt(reorderThreshold) : undefined,
         specifications: JSON.parse(specifications || '[]'),
         dimensions: JSON.parse(dimensions || '{}'),
         tags: JSON.parse(tags || '[]'),
+        requiresPrescription: requiresPrescription === true || requiresPrescription === 'true',
         status: 'draft'
       });
 
-      await product.save();
+      try {
+        await product.save();
+      } catch (saveError) {
+        await removeImageFiles(images);
+        if (isDuplicateSku(saveError)) {
+          return res.status(409).json({ message: `SKU ${sku} is already used by another of your products` });
+        }
+        console.error('Product creation error:', saveError);
+        return res.status(500).json({ message: 'Error creating product' });
+      }
+
+      await recordMovementsSafely([{
+        product: product._id,
+        vendor: product.vendor,
+        type: 'receipt',
+        quantity: product.stock,
+        reason: 'Initial stock',
+        actor: req.user.id
+      }]);
       res.status(201).json(product);
     });
   } catch (error) {
@@ -94,6 +157,8 @@ router.get('/products', async (req, res) => {
   try {
     const { status, page = 1, limit = 10 } = req.query;
     const query = { vendor: req.user.id };
+
+    await Product.syncBatchStock(query);
     
     if (status) {
       query.status = status;
@@ -120,6 +185,243 @@ router.get('/products', async (req, res) => {
   }
 });
 
+// Export the vendor's catalogue as CSV, in the format the import accepts
+router.get('/products/export', async (req, res) => {
+  try {
+    const query = { vendor: req.user.id };
+    await Product.syncBatchStock(query);
+
+    const products = await Product.find(query)
+      .select('-reviews -batches -moderation')
+      .sort({ createdAt: 1 });
+
+    res.attachment(`products-${new Date().toISOString().slice(0, 10)}.csv`);
+    res.type('text/csv').send(toCsv(products.map(productToCsvRow), PRODUCT_CSV_COLUMNS));
+  } catch (error) {
+    console.error('Error exporting products:', error);
+    res.status(500).json({ message: 'Error exporting products' });
+  }
+});
+
+// Create or update products in bulk from a CSV file, matched by SKU.
+// With ?dryRun=true nothing is saved and the per-row report is returned.
+// Otherwise nothing is saved unless every row validates; rows are then
+// saved one by one, and a row that still fails (e.g. a SKU taken by a
+// concurrent upload) is reported in its errors while the others are kept.
+router.post('/products/import', (req, res) => {
+  csvUpload.single('file')(req, res, async function(err) {
+    try {
+      if (err) {
+        return res.status(400).json({ message: err.message });
+      }
+      if (!req.file) {
+        return res.status(400).json({ message: 'A CSV file is required' });
+      }
+
+      const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+
+      let rows;
+      try {
+        rows = parseCsv(req.file.buffer.toString('utf8'));
+      } catch (parseError) {
+        return res.status(400).json({ message: `Could not read CSV: ${parseError.message}` });
+      }
+
+      const [header = [], ...records] = rows;
+      const columns = header.map(column => column.trim());
+      if (!columns.includes('sku')) {
+        return res.status(400).json({ message: 'The CSV must have a header row with a sku column' });
+      }
+      if (!records.length) {
+        return res.status(400).json({ message: 'The CSV has no product rows' });
+      }
+      if (records.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ message: `At most ${MAX_IMPORT_ROWS} products can be imported at once` });
+      }
+
+      const parsed = records.map(record => parseProductRow(
+        Object.fromEntries(columns.map((column, index) => [column, record[index]]))
+      ));
+
+      const skus = parsed.map(row => row.values.sku).filter(Boolean);
+      const ids = parsed.map(row => row.id).filter(id => id && mongoose.Types.ObjectId.isValid(id));
+      const existing = await Product.find({
+        vendor: req.user.id,
+        $or: [{ sku: { $in: skus } }, { _id: { $in: ids } }]
+      });
+      const bySku = new Map(existing.filter(product => product.sku).map(product => [product.sku, product]));
+      const byId = new Map(existing.map(product => [product._id.toString(), product]));
+
+      const seenSkus = new Map();
+      const claimed = new Map();
+      const plans = [];
+      const report = parsed.map(({ id, values, errors }, index) => {
+        // Spreadsheet row number, counting the header as row 1
+        const row = index + 2;
+        const warnings = [];
+
+        if (values.sku) {
+          if (seenSkus.has(values.sku)) {
+            errors.push(`sku: Duplicate of row ${seenSkus.get(values.sku)}`);
+          } else {
+            seenSkus.set(values.sku, row);
+          }
+        }
+
+        // Match by SKU; a product id attaches a SKU to an older product
+        let product = bySku.get(values.sku);
+        if (!product && id && mongoose.Types.ObjectId.isValid(id)) {
+          const match = byId.get(id);
+          if (!match) {
+            errors.push('id: Product not found');
+          } else if (match.sku) {
+            errors.push(`id: Product already has SKU ${match.sku}`);
+          } else {
+            product = match;
+          }
+        }
+
+        if (product) {
+          const key = product._id.toString();
+          if (claimed.has(key)) {
+            errors.push(`id: Product is already updated by row ${claimed.get(key)}`);
+          }
+          claimed.set(key, row);
+        }
+
+        let action = 'create';
+        let regulatedChanges = [];
+        let reviewRequired = false;
+        let stockDelta = 0;
+
+        if (product) {
+          action = 'update';
+          if (LOCKED_STATUSES.includes(product.status)) {
+            errors.push(`status: A ${product.status} product can no longer be edited`);
+          }
+          if (values.stock !== undefined) {
+            if (product.batches.length) {
+              // Batch-tracked stock is only changed through the batch endpoints
+              warnings.push('stock: Ignored because stock is tracked by batch');
+            } else {
+              // Applied as a ledger adjustment once the row is saved
+              stockDelta = values.stock - product.stock;
+            }
+            delete values.stock;
+          }
+          if (values.dimensions) {
+            // Empty dimension cells keep their stored value
+            values.dimensions = { ...product.toObject().dimensions, ...values.dimensions };
+          }
+          regulatedChanges = product.regulatedChanges(values);
+          reviewRequired = LIVE_STATUSES.includes(product.status) && regulatedChanges.length > 0;
+          Object.assign(product, values);
+        } else {
+          product = new Product({ ...values, vendor: req.user.id, status: 'draft' });
+        }
+
+        const validationError = product.validateSync();
+        if (validationError) {
+          errors.push(...Object.values(validationError.errors).map(error => `${error.path}: ${error.message}`));
+        }
+
+        plans.push({ product, regulatedChanges, reviewRequired, stockDelta, isNew: action === 'create' });
+
+        return {
+          row,
+          sku: values.sku,
+          action,
+          reviewRequired,
+          ...(errors.length && { errors }),
+          ...(warnings.length && { warnings })
+        };
+      });
+
+      const invalid = report.filter(row => row.errors).length;
+      const summary = {
+        rows: report.length,
+        created: report.filter(row => row.action === 'create').length,
+        updated: report.filter(row => row.action === 'update').length,
+        sentForReview: report.filter(row => row.reviewRequired).length,
+        invalid
+      };
+
+      if (dryRun || invalid) {
+        return res.status(dryRun ? 200 : 400).json({
+          ...(!dryRun && { message: 'The import was not applied because some rows are invalid' }),
+          dryRun,
+          valid: invalid === 0,
+          summary,
+          rows: report
+        });
+      }
+
+      const failed = [];
+      for (const [index, { product, regulatedChanges, reviewRequired, stockDelta, isNew }] of plans.entries()) {
+        if (reviewRequired) {
+          sendBackForReview(product, regulatedChanges, req.user.id);
+        }
+        try {
+          await product.save();
+        } catch (saveError) {
+          // Another upload may have taken the SKU since validation
+          if (!isDuplicateSku(saveError)) {
+            console.error('Error saving imported product:', saveError);
+          }
+          report[index].errors = [isDuplicateSku(saveError)
+            ? `sku: SKU ${product.sku} is already used by another of your products`
+            : 'The product could not be saved'];
+          failed.push(report[index].row);
+          continue;
+        }
+
+        const movement = { reason: 'CSV import', actor: req.user.id };
+        if (isNew) {
+          await recordMovementsSafely([{ ...movement, product: product._id, vendor: product.vendor, type: 'receipt', quantity: product.stock }]);
+        } else if (stockDelta) {
+          try {
+            await adjustStock({ ...movement, product: product._id, quantity: stockDelta, type: 'adjustment' });
+          } catch (stockError) {
+            if (stockError.code !== 'INSUFFICIENT_STOCK') {
+              console.error('Error applying imported stock count:', stockError);
+            }
+            report[index].errors = [stockError.code === 'INSUFFICIENT_STOCK'
+              ? 'stock: Units sold during the import; the stock count was not applied'
+              : 'stock: The product was saved but the stock count could not be applied'];
+            failed.push(report[index].row);
+          }
+        }
+      }
+
+      // The rows are already saved, so a failed status sync is only logged
+      try {
+        await stockChanged(plans.map(({ product }) => product._id));
+      } catch (stockError) {
+        console.error('Failed to sync stock status after import:', stockError);
+      }
+
+      await SystemLog.create({
+        level: 'info',
+        message: `Vendor imported ${report.length - failed.length} products from CSV`,
+        action: 'PRODUCTS_IMPORTED',
+        user: req.user.id,
+        details: { ...summary, failedRows: failed },
+        timestamp: new Date()
+      });
+
+      res.json({
+        message: failed.length ? 'Import finished with errors' : 'Import complete',
+        dryRun,
+        summary: { ...summary, invalid: failed.length },
+        rows: report
+      });
+    } catch (error) {
+      console.error('Error importing products:', error);
+      res.status(500).json({ message: 'Error importing products' });
+    }
+  });
+});
+
 // Update product
 router.put('/products/:productId', async (req, res) => {
   try {
@@ -132,20 +434,32 @@ router.put('/products/:productId', async (req, res) => {
       return res.status(404).json({ message: 'Product not found' });
     }
 
+    if (LOCKED_STATUSES.includes(product.status)) {
+      return res.status(409).json({
+        message: `A ${product.status} product can no longer be edited`,
+        status: product.status
+      });
+    }
+
     upload(req, res, async function(err) {
       if (err) {
         return res.status(400).json({ message: err.message });
       }
 
       const updates = { ...req.body };
+      // Status and moderation only change through their own endpoints
+      for (const field of PROTECTED_PRODUCT_FIELDS) {
+        delete updates[field];
+      }
       
       // Process new images if uploaded
+      let newImages = [];
       if (req.files?.length) {
-        const newImages = req.files.map(file => ({
-          url: `/uploads/products/${file.filename}`,
-          alt: updates.name || product.name
-        }));
-        updates.images = [...product.images, ...newImages];
+        if (product.images.length + req.files.length > MAX_PRODUCT_IMAGES) {
+          return res.status(400).json({ message: `A product can have at most ${MAX_PRODUCT_IMAGES} images` });
+        }
+        newImages = await processUploadedImages(req, res, updates.name || product.name);
+        if (!newImages) return;
       }
 
       // Parse JSON fields
@@ -161,13 +475,79 @@ router.put('/products/:productId', async (req, res) => {
       if (updates.price) {
         updates.price = parseFloat(updates.price);
       }
-      if (updates.stock) {
-        updates.stock = parseInt(updates.stock);
+      // A new stock count is applied as a ledger adjustment after saving.
+      // Batch-tracked stock is only changed through the batch endpoints.
+      let stockDelta = 0;
+      if (updates.stock !== undefined && !product.batches.length) {
+        const counted = Number(updates.stock);
+        if (!Number.isInteger(counted) || counted < 0) {
+          return res.status(400).json({ message: 'Stock must be a non-negative whole number' });
+        }
+        stockDelta = counted - product.stock;
       }
+      delete updates.stock;
+      if (updates.reorderThreshold !== undefined) {
+        updates.reorderThreshold = parseInt(updates.reorderThreshold);
+      }
+      if (updates.requiresPrescription !== undefined) {
+        updates.requiresPrescription = updates.requiresPrescription === true ||
+          updates.requiresPrescription === 'true';
+      }
+
+      const regulatedChanges = product.regulatedChanges(updates);
+      const reviewRequired = LIVE_STATUSES.includes(product.status) && regulatedChanges.length > 0;
 
       Object.assign(product, updates);
-      await product.save();
-      res.json(product);
+      product.images.push(...newImages);
+      if (reviewRequired) {
+        sendBackForReview(product, regulatedChanges, req.user.id);
+      }
+      try {
+        await product.save();
+      } catch (saveError) {
+        await removeImageFiles(newImages);
+        if (isDuplicateSku(saveError)) {
+          return res.status(409).json({ message: `SKU ${updates.sku} is already used by another of your products` });
+        }
+        console.error('Error updating product:', saveError);
+        return res.status(500).json({ message: 'Error updating product' });
+      }
+
+      let saved = product;
+      if (stockDelta) {
+        try {
+          ({ product: saved } = await adjustStock({
+            product: product._id,
+            quantity: stockDelta,
+            type: 'adjustment',
+            reason: 'Stock count updated',
+            actor: req.user.id
+          }));
+        } catch (stockError) {
+          if (stockError.code !== 'INSUFFICIENT_STOCK') {
+            console.error('Error updating product:', stockError);
+            return res.status(500).json({ message: 'Error updating product' });
+          }
+          return res.status(409).json({
+            message: 'Units sold while the product was being saved; check the stock count and try again'
+          });
+        }
+      } else {
+        await stockChanged([product._id]);
+      }
+
+      if (reviewRequired) {
+        await SystemLog.create({
+          level: 'info',
+          message: `Product ${product.name} sent back for review after edit`,
+          action: 'PRODUCT_SUBMITTED_FOR_REVIEW',
+          user: req.user.id,
+          details: { product: product._id, changedFields: regulatedChanges },
+          timestamp: new Date()
+        });
+      }
+
+      res.json(saved);
     });
   } catch (error) {
     console.error('Error updating product:', error);
@@ -175,6 +555,59 @@ router.put('/products/:productId', async (req, res) => {
   }
 });
 
+// Submit a draft, or a product the reviewer sent back, for admin review
+router.post('/products/:productId/submit', async (req, res) => {
+  try {
+    const product = await Product.findOneAndUpdate(
+      {
+        _id: req.params.productId,
+        vendor: req.user.id,
+        status: { $in: SUBMITTABLE_STATUSES }
+      },
+      {
+        $set: {
+          status: 'pendingReview',
+          'moderation.submittedAt': new Date()
+        },
+        $push: {
+          'moderation.history': {
+            action: 'submitted',
+            status: 'pendingReview',
+            reason: req.body.note,
+            by: req.user.id,
+            at: new Date()
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!product) {
+      const existing = await Product.findOne({ _id: req.params.productId, vendor: req.user.id }).select('status');
+      return existing
+        ? res.status(409).json({
+          message: `A ${existing.status} product cannot be submitted for review`,
+          status: existing.status
+        })
+        : res.status(404).json({ message: 'Product not found' });
+    }
+
+    await SystemLog.create({
+      level: 'info',
+      message: `Product ${product.name} submitted for review`,
+      action: 'PRODUCT_SUBMITTED_FOR_REVIEW',
+      user: req.user.id,
+      details: { product: product._id },
+      timestamp: new Date()
+    });
+
+    res.json(product);
+  } catch (error) {
+    console.error('Error submitting product for review:', error);
+    res.status(500).json({ message: 'Error submitting product for review' });
+  }
+});
+
 // Delete product
 router.delete('/products/:productId', async (req, res) => {
   try {
@@ -187,6 +620,8 @@ router.delete('/products/:productId', async (req, res) => {
       return res.status(404).json({ message: 'Product not found' });
     }
 
+    await removeImageFiles(product.images);
+
     res.json({ message: 'Product deleted successfully' });
   } catch (error) {
     console.error('Error deleting product:', error);
@@ -194,35 +629,892 @@ router.delete('/products/:productId', async (req, res) => {
   }
 });
 
-// Get vendor dashboard stats
-router.get('/dashboard', async (req, res) => {
+const imageOrderSchema = z.object({
+  imageIds: z.array(z.string()).min(1, 'imageIds is required')
+});
+
+const imageAltSchema = z.object({
+  alt: z.string().trim().max(200, 'Alt text must be at most 200 characters')
+});
+
+// Load a vendor's product for an image change; responds and returns null
+// when it doesn't exist or can no longer be edited
+const findProductForImages = async (req, res) => {
+  const product = await Product.findOne({
+    _id: req.params.productId,
+    vendor: req.user.id
+  });
+
+  if (!product) {
+    res.status(404).json({ message: 'Product not found' });
+    return null;
+  }
+  if (LOCKED_STATUSES.includes(product.status)) {
+    res.status(409).json({
+      message: `A ${product.status} product can no longer be edited`,
+      status: product.status
+    });
+    return null;
+  }
+  return product;
+};
+
+// Reorder a product's images; the first one becomes the primary image
+router.put('/products/:productId/images/order', async (req, res) => {
+  try {
+    const { imageIds } = imageOrderSchema.parse(req.body);
+
+    const product = await findProductForImages(req, res);
+    if (!product) return;
+
+    const current = product.images.map(image => image._id.toString());
+    if (imageIds.length !== current.length || new Set(imageIds).size !== current.length ||
+      !imageIds.every(id => current.includes(id))) {
+      return res.status(400).json({ message: 'imageIds must list each of the product\'s images exactly once' });
+    }
+
+    product.images = imageIds.map(id => product.images.id(id));
+    await product.save();
+
+    res.json(product.images);
+  } catch (error) {
+    console.error('Error reordering product images:', error);
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: error.errors[0].message });
+    }
+    res.status(500).json({ message: 'Error reordering product images' });
+  }
+});
+
+// Make an image the primary one by moving it to the front
+router.put('/products/:productId/images/:imageId/primary', async (req, res) => {
+  try {
+    const product = await findProductForImages(req, res);
+    if (!product) return;
+
+    const image = product.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    product.images = [image, ...product.images.filter(other => !other._id.equals(image._id))];
+    await product.save();
+
+    res.json(product.images);
+  } catch (error) {
+    console.error('Error setting primary product image:', error);
+    res.status(500).json({ message: 'Error setting primary product image' });
+  }
+});
+
+// Update an image's alt text
+router.put('/products/:productId/images/:imageId', async (req, res) => {
+  try {
+    const { alt } = imageAltSchema.parse(req.body);
+
+    const product = await findProductForImages(req, res);
+    if (!product) return;
+
+    const image = product.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    image.alt = alt;
+    await product.save();
+
+    res.json(image);
+  } catch (error) {
+    console.error('Error updating product image:', error);
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: error.errors[0].message });
+    }
+    res.status(500).json({ message: 'Error updating product image' });
+  }
+});
+
+// Remove an image and its files
+router.delete('/products/:productId/images/:imageId', async (req, res) => {
+  try {
+    const product = await findProductForImages(req, res);
+    if (!product) return;
+
+    const image = product.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    image.deleteOne();
+    await product.save();
+    await removeImageFiles([image]);
+
+    res.json(product.images);
+  } catch (error) {
+    console.error('Error deleting product image:', error);
+    res.status(500).json({ message: 'Error deleting product image' });
+  }
+});
+
+// Validate batch fields sent by a vendor; returns an error message or null
+const validateBatch = ({ lotNumber, manufactureDate, expiryDate, quantity }) => {
+  if (!lotNumber?.toString().trim()) {
+    return 'Lot number is required';
+  }
+  if (!expiryDate || isNaN(new Date(expiryDate))) {
+    return 'A valid expiry date is required';
+  }
+  if (manufactureDate && isNaN(new Date(manufactureDate))) {
+    return 'Invalid manufacture date';
+  }
+  if (manufactureDate && new Date(manufactureDate) >= new Date(expiryDate)) {
+    return 'Expiry date must be after the manufacture date';
+  }
+  if (!Number.isInteger(Number(quantity)) || Number(quantity) < 0) {
+    return 'Quantity must be a non-negative whole number';
+  }
+  return null;
+};
+
+// Get a product's stock batches
+router.get('/products/:productId/batches', async (req, res) => {
+  try {
+    const product = await Product.findOne({
+      _id: req.params.productId,
+      vendor: req.user.id
+    }).select('name stock batches');
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const now = new Date();
+    res.json({
+      stock: product.stock,
+      batches: product.batches
+        .map(batch => ({ ...batch.toObject(), expired: batch.expiryDate <= now }))
+        .sort((a, b) => a.expiryDate - b.expiryDate)
+    });
+  } catch (error) {
+    console.error('Error fetching batches:', error);
+    res.status(500).json({ message: 'Error fetching batches' });
+  }
+});
+
+// Add a stock batch to a product
+router.post('/products/:productId/batches', async (req, res) => {
+  try {
+    const product = await Product.findOne({
+      _id: req.params.productId,
+      vendor: req.user.id
+    });
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const validationError = validateBatch(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const lotNumber = req.body.lotNumber.toString().trim();
+    if (product.batches.some(batch => batch.lotNumber === lotNumber)) {
+      return res.status(409).json({ message: 'A batch with this lot number already exists' });
+    }
+
+    // The first batch switches the product to batch tracking; from then on
+    // its stock is derived from the unexpired batches
+    const untrackedStock = product.batches.length ? 0 : product.stock;
+    product.batches.push({
+      lotNumber,
+      manufactureDate: req.body.manufactureDate,
+      expiryDate: req.body.expiryDate,
+      quantity: parseInt(req.body.quantity)
+    });
+
+    await product.save();
+
+    const batch = product.batches[product.batches.length - 1];
+    await recordMovementsSafely([
+      // Units held before batch tracking are replaced by the batches
+      {
+        product: product._id,
+        vendor: product.vendor,
+        type: 'adjustment',
+        quantity: -untrackedStock,
+        reason: 'Stock moved to batch tracking',
+        actor: req.user.id
+      },
+      {
+        product: product._id,
+        vendor: product.vendor,
+        type: 'receipt',
+        quantity: batch.quantity,
+        batch: batch._id,
+        lotNumber: batch.lotNumber,
+        reason: req.body.reason || 'Batch received',
+        actor: req.user.id
+      }
+    ]);
+    await stockChanged([product._id]);
+    res.status(201).json(product);
+  } catch (error) {
+    console.error('Error adding batch:', error);
+    res.status(500).json({ message: 'Error adding batch' });
+  }
+});
+
+// Adjust a stock batch
+router.put('/products/:productId/batches/:batchId', async (req, res) => {
+  try {
+    const product = await Product.findOne({
+      _id: req.params.productId,
+      vendor: req.user.id
+    });
+    const batch = product?.batches.id(req.params.batchId);
+
+    if (!batch) {
+      return res.status(404).json({ message: 'Batch not found' });
+    }
+
+    const { lotNumber, manufactureDate, expiryDate, quantity } = req.body;
+    const merged = {
+      lotNumber: lotNumber ?? batch.lotNumber,
+      manufactureDate: manufactureDate ?? batch.manufactureDate,
+      expiryDate: expiryDate ?? batch.expiryDate,
+      quantity: quantity ?? batch.quantity
+    };
+
+    const validationError = validateBatch(merged);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    merged.lotNumber = merged.lotNumber.toString().trim();
+    if (product.batches.some(other => other !== batch && other.lotNumber === merged.lotNumber)) {
+      return res.status(409).json({ message: 'A batch with this lot number already exists' });
+    }
+
+    // Expired units are out of stock and written off by the ledger, so
+    // their count is final. Moving the expiry date past now in either
+    // direction would move units in or out of stock without a ledger entry.
+    const now = new Date();
+    const quantityDelta = parseInt(merged.quantity) - batch.quantity;
+    if (quantityDelta && batch.expiryDate <= now) {
+      return res.status(409).json({ message: 'This batch has expired; its units can no longer be adjusted' });
+    }
+    if ((batch.expiryDate > now) !== (new Date(merged.expiryDate) > now)) {
+      return res.status(409).json({
+        message: batch.expiryDate > now
+          ? 'A live batch cannot be given a past expiry date; record its units as damaged instead'
+          : 'An expired batch cannot be given a future expiry date'
+      });
+    }
+
+    // A changed quantity is applied as a ledger adjustment
+    batch.set({ ...merged, quantity: batch.quantity });
+    await product.save();
+
+    if (!quantityDelta) {
+      await stockChanged([product._id]);
+      return res.json(product);
+    }
+
+    try {
+      const { product: updated } = await adjustStock({
+        product: product._id,
+        batch: batch._id,
+        quantity: quantityDelta,
+        type: 'adjustment',
+        reason: req.body.reason || `Lot ${batch.lotNumber} count updated`,
+        actor: req.user.id
+      });
+      res.json(updated);
+    } catch (stockError) {
+      if (stockError.code === 'BATCH_EXPIRED') {
+        return res.status(409).json({ message: 'This batch has expired; its units can no longer be adjusted' });
+      }
+      if (stockError.code !== 'INSUFFICIENT_STOCK') {
+        throw stockError;
+      }
+      res.status(409).json({ message: 'Units were allocated from this batch meanwhile; check the count and try again' });
+    }
+  } catch (error) {
+    console.error('Error updating batch:', error);
+    res.status(500).json({ message: 'Error updating batch' });
+  }
+});
+
+// Movements a vendor can record by hand; sales and expiry write-offs are
+// only ever recorded by the system
+const stockMovementSchema = z.object({
+  type: z.enum(['receipt', 'return', 'adjustment', 'damage']),
+  // Units for receipts, returns and damage; signed for adjustments
+  quantity: z.coerce.number().int('Quantity must be a whole number')
+    .refine(value => value !== 0, 'Quantity must not be zero'),
+  reason: z.string().trim().min(1, 'A reason is required').max(500),
+  batchId: z.string().optional()
+});
+
+const signedQuantity = (type, quantity) => {
+  if (type === 'adjustment') return quantity;
+  return type === 'damage' ? -Math.abs(quantity) : Math.abs(quantity);
+};
+
+// Record a stock adjustment, receipt, return or damage write-off
+router.post('/products/:productId/stock-movements', async (req, res) => {
+  try {
+    const { type, quantity, reason, batchId } = stockMovementSchema.parse(req.body);
+
+    const product = await Product.findOne({
+      _id: req.params.productId,
+      vendor: req.user.id
+    }).select('batches');
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    if (product.batches.length && !batchId) {
+      return res.status(400).json({ message: 'Choose the batch for a batch-tracked product' });
+    }
+    if (batchId && !product.batches.id(batchId)) {
+      return res.status(404).json({ message: 'Batch not found' });
+    }
+
+    let result;
+    try {
+      result = await adjustStock({
+        product: product._id,
+        batch: batchId && product.batches.id(batchId)._id,
+        quantity: signedQuantity(type, quantity),
+        type,
+        reason,
+        actor: req.user.id
+      });
+    } catch (stockError) {
+      if (stockError.code === 'INSUFFICIENT_STOCK') {
+        return res.status(409).json({ message: 'Not enough stock to remove that many units' });
+      }
+      if (stockError.code === 'BATCH_EXPIRED') {
+        return res.status(409).json({ message: 'This batch has expired; its units are written off and can no longer be moved' });
+      }
+      throw stockError;
+    }
+
+    await SystemLog.create({
+      level: 'info',
+      message: `Stock ${type} of ${result.movement.quantity} recorded`,
+      action: 'STOCK_MOVEMENT_RECORDED',
+      user: req.user.id,
+      details: { product: product._id, movement: result.movement._id, type, quantity: result.movement.quantity, reason },
+      timestamp: new Date()
+    });
+
+    res.status(201).json({
+      movement: result.movement,
+      stock: result.product.stock
+    });
+  } catch (error) {
+    console.error('Error recording stock movement:', error);
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: error.errors[0].message });
+    }
+    res.status(500).json({ message: 'Error recording stock movement' });
+  }
+});
+
+// Get a product's stock movement history, newest first, with the ledger
+// balance it should reconcile to
+router.get('/products/:productId/stock-movements', async (req, res) => {
+  try {
+    const product = await Product.findOne({
+      _id: req.params.productId,
+      vendor: req.user.id
+    }).select('name sku stock');
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const { type, page = 1, limit = 50 } = req.query;
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const query = { product: product._id };
+    if (type) {
+      query.type = type;
+    }
+
+    const [movements, total, balances] = await Promise.all([
+      StockMovement.find(query)
+        .populate('actor', 'name')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      StockMovement.countDocuments(query),
+      ledgerBalances([product._id])
+    ]);
+
+    const ledgerBalance = balances.get(product._id.toString())?.balance ?? 0;
+
+    res.json({
+      product: { id: product._id, name: product.name, sku: product.sku },
+      stock: product.stock,
+      ledgerBalance,
+      discrepancy: product.stock - ledgerBalance,
+      movements,
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching stock movements:', error);
+    res.status(500).json({ message: 'Error fetching stock movements' });
+  }
+});
+
+// Reduce an order to the lines owned by the given vendor
+const toVendorOrder = (order, vendorId) => {
+  const lines = order.products.filter(line => line.vendor?.toString() === vendorId.toString());
+  return {
+    _id: order._id,
+    customer: order.user,
+    status: order.status,
+    shippingAddress: order.shippingAddress,
+    paymentStatus: order.paymentStatus,
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt,
+    lines,
+    subtotal: lines.reduce((sum, line) => sum + line.price * line.quantity, 0)
+  };
+};
+
+// Get orders containing the vendor's products
+router.get('/orders', async (req, res) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+    const query = status
+      ? { products: { $elemMatch: { vendor: req.user.id, status } } }
+      : { 'products.vendor': req.user.id };
+
+    const orders = await Order.find(query)
+      .populate('user', 'name email')
+      .populate('products.product', 'name images')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await Order.countDocuments(query);
+
+    res.json({
+      orders: orders.map(order => toVendorOrder(order, req.user.id)),
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching vendor orders:', error);
+    res.status(500).json({ message: 'Error fetching orders' });
+  }
+});
+
+// Get a single order's lines for the vendor
+router.get('/orders/:orderId', async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.orderId,
+      'products.vendor': req.user.id
+    })
+      .populate('user', 'name email')
+      .populate('products.product', 'name images');
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    res.json(toVendorOrder(order, req.user.id));
+  } catch (error) {
+    console.error('Error fetching vendor order:', error);
+    res.status(500).json({ message: 'Error fetching order' });
+  }
+});
+
+// Move the vendor's lines of an order to a new fulfilment status.
+// Pass `lineIds` to act on specific lines; defaults to all of the vendor's lines.
+router.put('/orders/:orderId/status', async (req, res) => {
   try {
-    const stats = await Product.aggregate([
-      { $match: { vendor: req.user._id } },
+    const { status, lineIds, reason } = req.body;
+
+    if (!['processing', 'completed', 'cancelled'].includes(status)) {
+      return res.status(400).json({ message: 'Invalid status specified' });
+    }
+
+    const order = await Order.findOne({
+      _id: req.params.orderId,
+      'products.vendor': req.user.id
+    });
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    let lines = order.products.filter(line => line.vendor?.toString() === req.user.id.toString());
+    if (Array.isArray(lineIds) && lineIds.length) {
+      lines = lines.filter(line => lineIds.includes(line._id.toString()));
+      if (lines.length !== lineIds.length) {
+        return res.status(400).json({ message: 'Some lines do not belong to this vendor' });
+      }
+    }
+
+    // Prescription-only items stay pending until a pharmacist approves the prescription
+    if (status !== 'cancelled' && order.requiresPrescription &&
+        order.prescription?.status !== 'approved') {
+      return res.status(409).json({
+        message: 'Order requires an approved prescription before it can be processed',
+        prescriptionStatus: order.prescription?.status
+      });
+    }
+
+    const illegal = lines.filter(line => !Order.canTransition(line.status, status));
+    if (illegal.length) {
+      return res.status(400).json({
+        message: `Cannot move lines to ${status}`,
+        lines: illegal.map(line => ({ id: line._id, status: line.status }))
+      });
+    }
+
+    // Only apply the change if none of the lines moved since we read them
+    const updated = await Order.findOneAndUpdate(
       {
-        $group: {
-          _id: null,
-          totalProducts: { $sum: 1 },
-          publishedProducts: {
-            $sum: { $cond: [{ $eq: ['$status', 'published'] }, 1, 0] }
-          },
-          draftProducts: {
-            $sum: { $cond: [{ $eq: ['$status', 'draft'] }, 1, 0] }
-          },
-          outOfStockProducts: {
-            $sum: { $cond: [{ $eq: ['$status', 'outOfStock'] }, 1, 0] }
-          },
-          averageRating: { $avg: '$ratings.average' }
+        _id: order._id,
+        products: {
+          $all: lines.map(line => ({
+            $elemMatch: { _id: line._id, vendor: req.user.id, status: line.status }
+          }))
         }
+      },
+      {
+        $set: {
+          'products.$[line].status': status,
+          'products.$[line].updatedAt': new Date()
+        }
+      },
+      { arrayFilters: [{ 'line._id': { $in: lines.map(line => line._id) } }] }
+    );
+
+    if (!updated) {
+      return res.status(409).json({ message: 'Order was modified concurrently, please retry' });
+    }
+
+    if (status === 'cancelled') {
+      await releaseStock(lines, { actor: req.user.id, order: order._id, reason: 'Cancelled by vendor' });
+    }
+
+    const synced = await Order.syncStatus(order._id);
+
+    await SystemLog.create({
+      level: 'info',
+      message: `Order ${order._id} lines moved to ${status} by vendor`,
+      action: 'ORDER_LINE_STATUS_CHANGE',
+      user: req.user.id,
+      details: {
+        orderId: order._id,
+        lines: lines.map(line => ({ id: line._id, from: line.status, to: status })),
+        orderStatus: synced.status,
+        reason
+      },
+      timestamp: new Date()
+    });
+
+    res.json(toVendorOrder(synced, req.user.id));
+  } catch (error) {
+    console.error('Error updating order status:', error);
+    res.status(500).json({ message: 'Error updating order status' });
+  }
+});
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const timeOfDay = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Times must be HH:MM');
+
+const storeUpdateSchema = z.object({
+  storeName: z.string().trim().min(1, 'Store name is required').optional(),
+  description: z.string().trim().min(1, 'Store description is required').optional(),
+  address: z.string().trim().min(1, 'Store address is required').optional(),
+  phone: z.string().trim().min(1, 'Store phone is required').optional(),
+  openingHours: z.array(z.object({
+    day: z.enum(DAYS),
+    opens: timeOfDay,
+    closes: timeOfDay
+  }).refine(hours => hours.opens < hours.closes, {
+    message: 'Closing time must be after opening time'
+  })).refine(hours => new Set(hours.map(h => h.day)).size === hours.length, {
+    message: 'Each day can only be listed once'
+  }).optional(),
+  deliveryArea: z.object({
+    radiusKm: z.number().min(0).max(500).optional(),
+    cities: z.array(z.string().trim().min(1)).max(100).optional(),
+    postalCodes: z.array(z.string().trim().min(1)).max(500).optional()
+  }).optional()
+}).strict();
+
+const storeClosureSchema = z.object({
+  closed: z.boolean(),
+  reason: z.string().trim().max(500).optional(),
+  reopensAt: z.coerce.date().optional()
+}).refine(data => !data.reopensAt || data.reopensAt > new Date(), {
+  message: 'Reopening time must be in the future',
+  path: ['reopensAt']
+});
+
+const logoUpload = storeLogoUpload.single('logo');
+
+const toStoreProfile = (user) => ({
+  id: user._id,
+  ...user.storeDetails.toObject(),
+  open: user.isStoreOpen()
+});
+
+// Get the vendor's store profile
+router.get('/store', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user?.storeDetails) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+
+    res.json(toStoreProfile(user));
+  } catch (error) {
+    console.error('Error fetching store:', error);
+    res.status(500).json({ message: 'Error fetching store' });
+  }
+});
+
+// Update store details, opening hours and delivery area
+router.put('/store', async (req, res) => {
+  try {
+    const parsed = storeUpdateSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: parsed.error.errors.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+
+    const updates = Object.fromEntries(
+      Object.entries(parsed.data).map(([key, value]) => [`storeDetails.${key}`, value])
+    );
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({ message: 'No store fields to update' });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: req.user.id, role: 'vendor' },
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+    if (!user) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+
+    await SystemLog.create({
+      level: 'info',
+      message: `Store details updated by ${req.user.email}`,
+      action: 'STORE_UPDATED',
+      user: req.user.id,
+      details: { fields: Object.keys(parsed.data) },
+      timestamp: new Date()
+    });
+
+    res.json(toStoreProfile(user));
+  } catch (error) {
+    console.error('Error updating store:', error);
+    res.status(500).json({ message: 'Error updating store' });
+  }
+});
+
+// Upload a new store logo
+router.post('/store/logo', (req, res) => {
+  logoUpload(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({ message: err.message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ message: 'Logo file is required' });
+    }
+
+    try {
+      const previous = await User.findOneAndUpdate(
+        { _id: req.user.id, role: 'vendor' },
+        { $set: { 'storeDetails.logo': `/uploads/stores/${req.file.filename}` } }
+      );
+
+      // Remove the logo being replaced if it was one we stored
+      const previousLogo = previous?.storeDetails?.logo;
+      if (previousLogo?.startsWith('/uploads/stores/')) {
+        fs.unlink(path.join('.', previousLogo), (unlinkErr) => {
+          if (unlinkErr) console.error('Failed to remove old store logo:', unlinkErr);
+        });
+      }
+
+      res.json({ logo: `/uploads/stores/${req.file.filename}` });
+    } catch (error) {
+      console.error('Error uploading store logo:', error);
+      res.status(500).json({ message: 'Error uploading store logo' });
+    }
+  });
+});
+
+// Temporarily close or reopen the store
+router.put('/store/closure', async (req, res) => {
+  try {
+    const parsed = storeClosureSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ message: parsed.error.errors[0].message });
+    }
+
+    const { closed, reason, reopensAt } = parsed.data;
+    const closure = closed
+      ? { closed: true, reason, reopensAt, closedAt: new Date() }
+      : { closed: false };
+
+    const user = await User.findOneAndUpdate(
+      { _id: req.user.id, role: 'vendor' },
+      { $set: { 'storeDetails.closure': closure } },
+      { new: true, runValidators: true }
+    );
+    if (!user) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+
+    await SystemLog.create({
+      level: 'info',
+      message: `Store ${closed ? 'temporarily closed' : 'reopened'} by ${req.user.email}`,
+      action: closed ? 'STORE_CLOSED' : 'STORE_REOPENED',
+      user: req.user.id,
+      details: { reason, reopensAt },
+      timestamp: new Date()
+    });
+
+    res.json(toStoreProfile(user));
+  } catch (error) {
+    console.error('Error updating store closure:', error);
+    res.status(500).json({ message: 'Error updating store closure' });
+  }
+});
+
+// List products at or below their reorder threshold, emptiest first
+router.get('/inventory/alerts', async (req, res) => {
+  try {
+    await Product.syncBatchStock({ vendor: req.user.id });
+
+    const products = await Product.find(lowStockQuery({ vendor: req.user.id }))
+      .select('sku name stock reorderThreshold status lowStockNotifiedAt')
+      .sort({ stock: 1, name: 1 });
+
+    res.json({
+      alerts: products.map(product => ({
+        product: product._id,
+        sku: product.sku,
+        name: product.name,
+        status: product.status,
+        stock: product.stock,
+        reorderThreshold: product.reorderThreshold,
+        shortfall: product.reorderThreshold - product.stock,
+        notifiedAt: product.lowStockNotifiedAt
+      })),
+      total: products.length
+    });
+  } catch (error) {
+    console.error('Error fetching inventory alerts:', error);
+    res.status(500).json({ message: 'Error fetching inventory alerts' });
+  }
+});
+
+// Get vendor dashboard stats
+router.get('/dashboard', async (req, res) => {
+  try {
+    await Product.syncBatchStock({ vendor: req.user.id });
+
+    const now = new Date();
+    const daysFromNow = (days) => new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+    const unitsExpiringBefore = (date) => ({
+      $sum: {
+        $cond: [
+          { $and: [{ $gt: ['$batches.expiryDate', now] }, { $lte: ['$batches.expiryDate', date] }] },
+          '$batches.quantity',
+          0
+        ]
       }
+    });
+
+    const [stats, expiry] = await Promise.all([
+      Product.aggregate([
+        { $match: { vendor: req.user.id } },
+        {
+          $group: {
+            _id: null,
+            totalProducts: { $sum: 1 },
+            publishedProducts: {
+              $sum: { $cond: [{ $eq: ['$status', 'published'] }, 1, 0] }
+            },
+            draftProducts: {
+              $sum: { $cond: [{ $eq: ['$status', 'draft'] }, 1, 0] }
+            },
+            pendingReviewProducts: {
+              $sum: { $cond: [{ $eq: ['$status', 'pendingReview'] }, 1, 0] }
+            },
+            changesRequestedProducts: {
+              $sum: { $cond: [{ $eq: ['$status', 'changesRequested'] }, 1, 0] }
+            },
+            outOfStockProducts: {
+              $sum: { $cond: [{ $eq: ['$status', 'outOfStock'] }, 1, 0] }
+            },
+            averageRating: { $avg: '$ratings.average' }
+          }
+        }
+      ]),
+      Product.aggregate([
+        { $match: { vendor: req.user.id } },
+        { $unwind: '$batches' },
+        { $match: { 'batches.quantity': { $gt: 0 } } },
+        {
+          $group: {
+            _id: null,
+            within30Days: unitsExpiringBefore(daysFromNow(30)),
+            within60Days: unitsExpiringBefore(daysFromNow(60)),
+            within90Days: unitsExpiringBefore(daysFromNow(90)),
+            expired: {
+              $sum: { $cond: [{ $lte: ['$batches.expiryDate', now] }, '$batches.quantity', 0] }
+            }
+          }
+        },
+        { $project: { _id: 0 } }
+      ])
     ]);
 
-    res.json(stats[0] || {
-      totalProducts: 0,
-      publishedProducts: 0,
-      draftProducts: 0,
-      outOfStockProducts: 0,
-      averageRating: 0
+    res.json({
+      ...(stats[0] || {
+        totalProducts: 0,
+        publishedProducts: 0,
+        draftProducts: 0,
+        pendingReviewProducts: 0,
+        changesRequestedProducts: 0,
+        outOfStockProducts: 0,
+        averageRating: 0
+      }),
+      expiringUnits: expiry[0] || {
+        within30Days: 0,
+        within60Days: 0,
+        within90Days: 0,
+        expired: 0
+      }
     });
   } catch (error) {
     console.error('Error fetching vendor stats:', error);
@@ -9,6 +9,15 @@ import { fileURLToPath } from 'url';
 import authRoutes from './routes/auth.js';
 import adminRoutes from './routes/admin.js';
 import vendorRoutes from './routes/vendor.js';
+import orderRoutes from './routes/orders.js';
+import prescriptionRoutes from './routes/prescriptions.js';
+import productRoutes from './routes/products.js';
+import cartRoutes from './routes/cart.js';
+import onboardingRoutes from './routes/onboarding.js';
+import storeRoutes from './routes/stores.js';
+import accountRoutes from './routes/account.js';
+import { startJobs } from './utils/jobs.js';
+import { maintenanceGate } from './middleware/maintenance.js';
 
 // Initialize express app
 const app = express();
@@ -26,19 +35,33 @@ app.use(express.urlencoded({ extended: true }));
 // Serve uploaded files
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
+// Maintenance mode gate; admin routes stay reachable
+app.use('/api', maintenanceGate);
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/vendor', vendorRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/prescriptions', prescriptionRoutes);
+app.use('/api/products', productRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/onboarding', onboardingRoutes);
+app.use('/api/stores', storeRoutes);
+app.use('/api/account', accountRoutes);
 
 // Create uploads directory if it doesn't exist
 import fs from 'fs';
-const uploadsDir = path.join(__dirname, 'uploads', 'products');
-fs.mkdirSync(uploadsDir, { recursive: true });
+for (const dir of ['products', 'stores']) {
+  fs.mkdirSync(path.join(__dirname, 'uploads', dir), { recursive: true });
+}
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('Connected to MongoDB'))
+  .then(() => {
+    console.log('Connected to MongoDB');
+    return startJobs();
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
 // Error handling middleware
@@ -0,0 +1,129 @@
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Product from '../models/Product.js';
+import Order from '../models/Order.js';
+import Cart from '../models/Cart.js';
+import SystemLog from '../models/SystemLog.js';
+import SystemSettings from '../models/SystemSettings.js';
+import StockMovement from '../models/StockMovement.js';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const { EJSON } = mongoose.mongo.BSON;
+
+const BACKUP_DIR = process.env.BACKUP_DIR || './backups';
+const BACKUP_NAME_PATTERN = /^backup-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z\.json\.gz$/;
+
+// Every collection included in a backup, keyed by model name
+const BACKUP_MODELS = { User, Product, Order, Cart, SystemLog, SystemSettings, StockMovement };
+
+// Resolve a backup file name, rejecting anything that isn't one of ours
+export const getBackupPath = (name) => {
+  if (!BACKUP_NAME_PATTERN.test(name)) {
+    const error = new Error('Invalid backup name');
+    error.code = 'INVALID_BACKUP_NAME';
+    throw error;
+  }
+  return path.resolve(BACKUP_DIR, name);
+};
+
+// Dump every collection as extended JSON so ObjectIds and dates survive
+// the round trip, then gzip it to a timestamped file
+export const createBackup = async () => {
+  const createdAt = new Date();
+  const collections = {};
+  const counts = {};
+
+  for (const [name, Model] of Object.entries(BACKUP_MODELS)) {
+    collections[name] = await Model.collection.find({}).toArray();
+    counts[name] = collections[name].length;
+  }
+
+  const payload = EJSON.stringify({ version: 1, createdAt, collections }, { relaxed: false });
+  const compressed = await gzip(payload);
+
+  const name = `backup-${createdAt.toISOString().replace(/[:.]/g, '-')}.json.gz`;
+  await fs.mkdir(BACKUP_DIR, { recursive: true });
+  await fs.writeFile(getBackupPath(name), compressed);
+
+  return { name, size: compressed.length, createdAt, counts };
+};
+
+// Create a backup, stamp SystemSettings.lastBackup and log the run
+export const performBackup = async ({ user, trigger = 'manual' } = {}) => {
+  try {
+    const backup = await createBackup();
+
+    const settings = await SystemSettings.getInstance();
+    settings.lastBackup = backup.createdAt;
+    await settings.save();
+
+    await SystemLog.create({
+      level: 'info',
+      message: `Backup ${backup.name} created`,
+      action: 'BACKUP_CREATED',
+      user,
+      details: { ...backup, trigger },
+      timestamp: new Date()
+    });
+
+    return backup;
+  } catch (error) {
+    await SystemLog.create({
+      level: 'error',
+      message: 'Backup failed',
+      action: 'BACKUP_FAILED',
+      user,
+      details: { error: error.message, trigger },
+      timestamp: new Date()
+    });
+    throw error;
+  }
+};
+
+// List backups on disk, newest first
+export const listBackups = async () => {
+  let files;
+  try {
+    files = await fs.readdir(BACKUP_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const backups = await Promise.all(
+    files
+      .filter(name => BACKUP_NAME_PATTERN.test(name))
+      .map(async (name) => {
+        const stats = await fs.stat(getBackupPath(name));
+        return { name, size: stats.size, createdAt: stats.mtime };
+      })
+  );
+
+  return backups.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+// Replace the contents of every backed-up collection with the archive's
+export const restoreBackup = async (name) => {
+  const compressed = await fs.readFile(getBackupPath(name));
+  const { collections } = EJSON.parse((await gunzip(compressed)).toString(), { relaxed: false });
+  const counts = {};
+
+  for (const [modelName, Model] of Object.entries(BACKUP_MODELS)) {
+    const docs = collections[modelName];
+    if (!docs) continue;
+
+    // Raw collection access skips middleware such as password hashing
+    await Model.collection.deleteMany({});
+    if (docs.length) {
+      await Model.collection.insertMany(docs);
+    }
+    counts[modelName] = docs.length;
+  }
+
+  return counts;
+};
@@ -0,0 +1,23 @@
+import User from '../models/User.js';
+
+// Product statuses shown in the catalogue; out-of-stock listings stay
+// visible so shoppers can find them again once restocked
+export const LISTED_STATUSES = ['published', 'outOfStock'];
+
+// Vendors whose products may be shown and sold
+export const getActiveVendorIds = () => User.find({
+  role: 'vendor',
+  status: 'active',
+  'storeDetails.active': true
+}).distinct('_id');
+
+// Vendors that are taking orders: active and not temporarily closed
+export const getOpenVendorIds = (now = new Date()) => User.find({
+  role: 'vendor',
+  status: 'active',
+  'storeDetails.active': true,
+  $or: [
+    { 'storeDetails.closure.closed': { $ne: true } },
+    { 'storeDetails.closure.reopensAt': { $lte: now } }
+  ]
+}).distinct('_id');
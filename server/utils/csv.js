@@ -0,0 +1,87 @@
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a value for CSV output (RFC 4180). Strings that would start a
+// formula get a leading apostrophe, so user-supplied names can't run in
+// the spreadsheet the file is opened in; numbers are left as they are.
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Undo the formula guard added by escapeCsvValue, for files read back in
+export const unescapeCsvFormula = (text) => (text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1))
+  ? text.slice(1)
+  : text);
+
+// Render rows of objects as CSV using the given column keys as the header
+export const toCsv = (rows, columns) => [
+  columns.map(escapeCsvValue).join(','),
+  ...rows.map(row => columns.map(column => escapeCsvValue(row[column])).join(','))
+].join('\r\n');
+
+// Parse CSV text (RFC 4180) into rows of string fields. Handles quoted
+// fields with embedded commas, quotes and line breaks, CRLF or LF line
+// endings and a leading byte-order mark. Blank lines are skipped.
+export const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      endRow();
+      if (char === '\r' && input[i + 1] === '\n') i++;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length) {
+    endRow();
+  }
+
+  return rows;
+};
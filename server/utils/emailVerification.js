@@ -0,0 +1,95 @@
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { sendMail, clientUrl } from './mailer.js';
+
+const VERIFICATION_TOKEN_TTL = '24h';
+const TOKEN_PURPOSE = 'email-verify';
+
+// Resend limits per account
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const SEND_WINDOW_MS = 60 * 60 * 1000;
+const MAX_SENDS_PER_WINDOW = 5;
+
+// Links are tied to the address they were sent to, so changing the email
+// invalidates any link still in flight
+export const signVerificationToken = (user) => jwt.sign(
+  { userId: user._id, email: user.email, purpose: TOKEN_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: VERIFICATION_TOKEN_TTL }
+);
+
+export const verifyVerificationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === TOKEN_PURPOSE ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Record a send if the account is still inside its limits. The check and
+// the update are one operation so parallel requests can't exceed them.
+const claimSend = async (userId, now) => {
+  const cooldownCutoff = new Date(now.getTime() - RESEND_COOLDOWN_MS);
+  const windowCutoff = new Date(now.getTime() - SEND_WINDOW_MS);
+  const windowExpired = {
+    $or: [
+      { $eq: [{ $ifNull: ['$emailVerification.windowStartedAt', null] }, null] },
+      { $lte: ['$emailVerification.windowStartedAt', windowCutoff] }
+    ]
+  };
+
+  return User.findOneAndUpdate(
+    {
+      _id: userId,
+      emailVerified: false,
+      $and: [
+        {
+          $or: [
+            { 'emailVerification.lastSentAt': null },
+            { 'emailVerification.lastSentAt': { $lte: cooldownCutoff } }
+          ]
+        },
+        {
+          $or: [
+            { 'emailVerification.windowStartedAt': null },
+            { 'emailVerification.windowStartedAt': { $lte: windowCutoff } },
+            { 'emailVerification.sentCount': { $lt: MAX_SENDS_PER_WINDOW } }
+          ]
+        }
+      ]
+    },
+    [{
+      $set: {
+        'emailVerification.lastSentAt': now,
+        'emailVerification.windowStartedAt': {
+          $cond: [windowExpired, now, '$emailVerification.windowStartedAt']
+        },
+        'emailVerification.sentCount': {
+          $cond: [windowExpired, 1, { $add: [{ $ifNull: ['$emailVerification.sentCount', 0] }, 1] }]
+        }
+      }
+    }],
+    { new: true }
+  );
+};
+
+// Email the user a verification link. Returns false when the account is
+// already verified or has hit the resend limits.
+export const sendVerificationEmail = async (user) => {
+  const claimed = await claimSend(user._id, new Date());
+  if (!claimed) {
+    return false;
+  }
+
+  const link = clientUrl(`/verify-email?token=${signVerificationToken(claimed)}`);
+  await sendMail({
+    to: claimed.email,
+    subject: 'Verify your PharmaLink email address',
+    text: `Hello ${claimed.name},\n\nPlease confirm your email address by opening the link below. ` +
+      `It expires in 24 hours.\n\n${link}\n\n` +
+      'If you did not create a PharmaLink account, you can ignore this email.'
+  });
+
+  return true;
+};
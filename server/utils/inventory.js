@@ -0,0 +1,252 @@
+import Product from '../models/Product.js';
+import { checkStockLevels } from './stockAlerts.js';
+import { lineMovements, recordMovements, recordMovementsSafely } from './stockLedger.js';
+
+const MAX_ALLOCATION_ATTEMPTS = 3;
+
+const insufficientStock = (productId) => {
+  const error = new Error('Insufficient stock');
+  error.code = 'INSUFFICIENT_STOCK';
+  error.product = productId;
+  return error;
+};
+
+const batchExpired = (productId) => {
+  const error = new Error('Batch has expired');
+  error.code = 'BATCH_EXPIRED';
+  error.product = productId;
+  return error;
+};
+
+// Bring listing status and low-stock alerts in line after stock changed.
+// Alerts are best effort: a failed alert must not undo a sale.
+export const stockChanged = async (productIds) => {
+  if (!productIds.length) return;
+  const filter = { _id: { $in: productIds } };
+  await Product.syncStockStatus(filter);
+  try {
+    await checkStockLevels(filter);
+  } catch (error) {
+    console.error('Failed to check stock levels:', error);
+  }
+};
+
+// Pick batches first-expiry-first-out until `quantity` is covered
+const planAllocations = (product, quantity, now) => {
+  const allocations = [];
+  let remaining = quantity;
+
+  for (const batch of product.sellableBatches(now)) {
+    if (remaining === 0) break;
+    const taken = Math.min(batch.quantity, remaining);
+    allocations.push({
+      batch: batch._id,
+      lotNumber: batch.lotNumber,
+      expiryDate: batch.expiryDate,
+      quantity: taken
+    });
+    remaining -= taken;
+  }
+
+  return remaining === 0 ? allocations : null;
+};
+
+// Take a line's quantity from a batch-tracked product. The update only
+// matches if every planned batch still holds enough unexpired units, so a
+// concurrent order makes it miss and we re-plan from fresh data.
+const allocateFromBatches = async (line) => {
+  for (let attempt = 0; attempt < MAX_ALLOCATION_ATTEMPTS; attempt++) {
+    const now = new Date();
+    const product = await Product.findOne({ _id: line.product, status: 'published' });
+    if (!product) {
+      throw insufficientStock(line.product);
+    }
+
+    const allocations = planAllocations(product, line.quantity, now);
+    if (!allocations) {
+      throw insufficientStock(line.product);
+    }
+
+    const inc = {};
+    const arrayFilters = [];
+    allocations.forEach((allocation, i) => {
+      inc[`batches.$[b${i}].quantity`] = -allocation.quantity;
+      arrayFilters.push({ [`b${i}._id`]: allocation.batch });
+    });
+
+    const updated = await Product.findOneAndUpdate(
+      {
+        _id: line.product,
+        status: 'published',
+        batches: {
+          $all: allocations.map(allocation => ({
+            $elemMatch: {
+              _id: allocation.batch,
+              quantity: { $gte: allocation.quantity },
+              expiryDate: { $gt: now }
+            }
+          }))
+        }
+      },
+      { $inc: inc },
+      { arrayFilters }
+    );
+
+    if (updated) {
+      await Product.syncBatchStock({ _id: line.product });
+      return allocations;
+    }
+  }
+
+  throw insufficientStock(line.product);
+};
+
+// Atomically take `quantity` units of each line out of stock. Batch-tracked
+// products are allocated first-expiry-first-out; other products are
+// decremented with a conditional update so two concurrent checkouts can never
+// oversell. If any line fails, the lines already taken are put back.
+// `movement` ({ actor, order, reason }) is recorded on each ledger sale.
+export const reserveStock = async (lines, movement = {}) => {
+  const reserved = [];
+
+  try {
+    for (const line of lines) {
+      const tracked = await Product.exists({ _id: line.product, 'batches.0': { $exists: true } });
+
+      if (tracked) {
+        const allocations = await allocateFromBatches(line);
+        reserved.push({ product: line.product, vendor: line.vendor, quantity: line.quantity, allocations });
+        continue;
+      }
+
+      const updated = await Product.findOneAndUpdate(
+        {
+          _id: line.product,
+          status: 'published',
+          stock: { $gte: line.quantity }
+        },
+        { $inc: { stock: -line.quantity } },
+        { new: true }
+      );
+
+      if (!updated) {
+        throw insufficientStock(line.product);
+      }
+
+      reserved.push({ product: line.product, vendor: line.vendor, quantity: line.quantity, allocations: [] });
+    }
+  } catch (error) {
+    await releaseStock(reserved);
+    throw error;
+  }
+
+  await recordMovementsSafely(reserved.flatMap(line => lineMovements(line, -1, { ...movement, type: 'sale' })));
+  await stockChanged(reserved.map(line => line.product));
+  return reserved;
+};
+
+// Add or remove units outside of an order (deliveries, counts, damage)
+// and record the ledger entry. Batch-tracked products change one unexpired
+// batch: expired units no longer count towards stock and are written off
+// by the ledger, so moving them would only make the two disagree. The
+// update only matches while enough units remain, so stock never goes
+// negative when units sell in the meantime. Resolves to the updated
+// product and its movement.
+export const adjustStock = async ({ product, batch, quantity, ...movement }) => {
+  const now = new Date();
+  const updated = batch
+    ? await Product.findOneAndUpdate(
+      {
+        _id: product,
+        batches: { $elemMatch: { _id: batch, quantity: { $gte: -quantity }, expiryDate: { $gt: now } } }
+      },
+      { $inc: { 'batches.$[batch].quantity': quantity } },
+      { arrayFilters: [{ 'batch._id': batch }], new: true }
+    )
+    : await Product.findOneAndUpdate(
+      { _id: product, 'batches.0': { $exists: false }, stock: { $gte: -quantity } },
+      { $inc: { stock: quantity } },
+      { new: true }
+    );
+
+  if (!updated) {
+    if (batch && await Product.exists({ _id: product, batches: { $elemMatch: { _id: batch, expiryDate: { $lte: now } } } })) {
+      throw batchExpired(product);
+    }
+    throw insufficientStock(product);
+  }
+  if (batch) {
+    await Product.syncBatchStock({ _id: product });
+  }
+
+  const recorded = await recordMovements([{
+    ...movement,
+    product,
+    vendor: updated.vendor,
+    quantity,
+    ...(batch && { batch, lotNumber: updated.batches.id(batch)?.lotNumber })
+  }]);
+  await stockChanged([product]);
+
+  return {
+    product: await Product.findById(product),
+    movement: recorded[recorded.length - 1]
+  };
+};
+
+// Return previously reserved units to stock, back into the batches they
+// were allocated from. With a `movement` ({ actor, order, reason }) the
+// units are recorded as returns, and units of a batch that has expired in
+// the meantime stay out of it and are written off straight away. Rolling
+// back an unrecorded reservation passes none and restores every batch.
+export const releaseStock = async (lines, movement) => {
+  const writeOffs = [];
+
+  for (const line of lines) {
+    if (!line.allocations?.length) {
+      await Product.updateOne(
+        { _id: line.product },
+        { $inc: { stock: line.quantity } }
+      );
+      continue;
+    }
+
+    const now = new Date();
+    const product = movement && await Product.findById(line.product).select('batches');
+    const expired = new Set((product?.batches || [])
+      .filter(batch => batch.expiryDate <= now)
+      .map(batch => batch._id.toString()));
+
+    const inc = {};
+    const arrayFilters = [];
+    line.allocations.forEach((allocation, i) => {
+      if (movement && expired.has(allocation.batch.toString())) {
+        writeOffs.push({
+          product: line.product,
+          vendor: line.vendor,
+          type: 'expiryWriteOff',
+          quantity: -allocation.quantity,
+          batch: allocation.batch,
+          lotNumber: allocation.lotNumber,
+          reason: `Lot ${allocation.lotNumber} expired before the units were returned`
+        });
+        return;
+      }
+      inc[`batches.$[b${i}].quantity`] = allocation.quantity;
+      arrayFilters.push({ [`b${i}._id`]: allocation.batch });
+    });
+
+    if (arrayFilters.length) {
+      await Product.updateOne({ _id: line.product }, { $inc: inc }, { arrayFilters });
+    }
+    await Product.syncBatchStock({ _id: line.product });
+  }
+
+  if (movement) {
+    await recordMovementsSafely([
+      ...lines.flatMap(line => lineMovements(line, 1, { ...movement, type: 'return' })),
+      ...writeOffs.map(entry => ({ ...movement, ...entry }))
+    ]);
+  }
+  await stockChanged(lines.map(line => line.product));
+};
@@ -0,0 +1,145 @@
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import SystemLog from '../models/SystemLog.js';
+import SystemSettings from '../models/SystemSettings.js';
+import { performBackup } from './backup.js';
+import { cancelPendingOrder } from './orders.js';
+import { processDueDeletions } from './personalData.js';
+import { removeOrphanedImages } from './productImages.js';
+import { checkStockLevels } from './stockAlerts.js';
+import { writeOffExpiredBatches, reconcileStock } from './stockLedger.js';
+import { registerJob, startScheduler } from './scheduler.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const afterInterval = (interval) => (job) => new Date((job.lastRun?.getTime() || Date.now()) + interval);
+
+// First retry after a failed backup; each further failure doubles the wait
+const BACKUP_RETRY = 5 * 60 * 1000;
+const MAX_BACKUP_RETRY = 6 * HOUR;
+
+// Next backup is due one period after the last one, whenever that ran
+const nextBackupDate = (lastBackup, frequency) => {
+  if (!lastBackup) return new Date();
+
+  const next = new Date(lastBackup);
+  switch (frequency) {
+    case 'hourly':
+      next.setTime(next.getTime() + HOUR);
+      break;
+    case 'weekly':
+      next.setTime(next.getTime() + 7 * DAY);
+      break;
+    case 'monthly':
+      next.setMonth(next.getMonth() + 1);
+      break;
+    default:
+      next.setTime(next.getTime() + DAY);
+  }
+  return next;
+};
+
+export const registerDefaultJobs = () => {
+  registerJob('backup', {
+    description: 'Back up the database at the configured backup frequency',
+    getNextRun: async (job) => {
+      // A failed backup leaves lastBackup unchanged, so it would be due
+      // again at once; retry from the failed run instead
+      if (job.failures) {
+        const wait = Math.min(BACKUP_RETRY * 2 ** (job.failures - 1), MAX_BACKUP_RETRY);
+        return new Date(job.lastRun.getTime() + wait);
+      }
+      const settings = await SystemSettings.getInstance();
+      return nextBackupDate(settings.lastBackup, settings.backupFrequency);
+    },
+    run: async () => {
+      const backup = await performBackup({ trigger: 'scheduled' });
+      return { backup: backup.name };
+    }
+  });
+
+  registerJob('logRetention', {
+    description: 'Delete system logs older than the retention period',
+    getNextRun: afterInterval(DAY),
+    run: async () => {
+      const settings = await SystemSettings.getInstance();
+      const cutoff = new Date(Date.now() - settings.logRetentionDays * DAY);
+      const { deletedCount } = await SystemLog.deleteMany({ timestamp: { $lt: cutoff } });
+
+      if (deletedCount) {
+        await SystemLog.create({
+          level: 'info',
+          message: `Removed ${deletedCount} logs older than ${settings.logRetentionDays} days`,
+          action: 'LOG_RETENTION',
+          details: { deletedCount, cutoff },
+          timestamp: new Date()
+        });
+      }
+      return { deletedCount };
+    }
+  });
+
+  registerJob('expireStaleOrders', {
+    description: 'Cancel orders left pending past the expiry window and return their stock',
+    getNextRun: afterInterval(HOUR),
+    run: async () => {
+      const settings = await SystemSettings.getInstance();
+      const cutoff = new Date(Date.now() - settings.pendingOrderExpiryHours * HOUR);
+      const stale = await Order.find({ status: 'pending', createdAt: { $lt: cutoff } }).select('_id user');
+
+      let cancelled = 0;
+      for (const { _id, user } of stale) {
+        const order = await cancelPendingOrder(
+          { _id },
+          { reason: `Expired after ${settings.pendingOrderExpiryHours} hours pending` }
+        );
+        if (!order) continue;
+        cancelled++;
+
+        await SystemLog.create({
+          level: 'info',
+          message: `Order ${_id} expired after ${settings.pendingOrderExpiryHours} hours pending`,
+          action: 'ORDER_EXPIRED',
+          details: { orderId: _id, customer: user },
+          timestamp: new Date()
+        });
+      }
+      return { cancelled };
+    }
+  });
+
+  registerJob('syncBatchStock', {
+    description: 'Write off expired batches, remove them from sellable stock and send low-stock alerts',
+    getNextRun: afterInterval(HOUR),
+    run: async () => {
+      const { writtenOff } = await writeOffExpiredBatches();
+      const { modifiedCount } = await Product.syncBatchStock();
+      const { alerted } = await checkStockLevels();
+      return { writtenOff, modifiedCount, alerted };
+    }
+  });
+
+  registerJob('reconcileStock', {
+    description: 'Compare product stock with the stock movement ledger',
+    getNextRun: afterInterval(DAY),
+    run: () => reconcileStock()
+  });
+
+  registerJob('accountDeletion', {
+    description: 'Anonymise accounts whose deletion grace period has ended',
+    getNextRun: afterInterval(HOUR),
+    run: () => processDueDeletions()
+  });
+
+  registerJob('orphanedImages', {
+    description: 'Delete product image files that no product refers to',
+    getNextRun: afterInterval(DAY),
+    run: () => removeOrphanedImages()
+  });
+};
+
+export const startJobs = async () => {
+  registerDefaultJobs();
+  await startScheduler();
+};
@@ -0,0 +1,124 @@
+import LoginThrottle from '../models/LoginThrottle.js';
+import SystemLog from '../models/SystemLog.js';
+import SystemSettings from '../models/SystemSettings.js';
+
+const MAX_DELAY_SECONDS = 5 * 60;
+
+export const accountKey = (email) => `account:${email.toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const getLoginSecurity = async () => (await SystemSettings.getInstance()).loginSecurity;
+
+// Wait required before the next attempt after `failures` failures
+const delaySeconds = (failures, settings) => {
+  if (failures < settings.progressiveDelayAfter || !settings.progressiveDelaySeconds) return 0;
+  const exponent = failures - settings.progressiveDelayAfter;
+  return Math.min(settings.progressiveDelaySeconds * 2 ** exponent, MAX_DELAY_SECONDS);
+};
+
+// Decide whether a login attempt for this email from this IP may proceed.
+// Resolves to { allowed: true } or { allowed: false, reason, retryAfter }
+// with retryAfter in seconds.
+export const checkLoginAllowed = async ({ email, ip }) => {
+  const settings = await getLoginSecurity();
+  const now = Date.now();
+  const windowStart = now - settings.failureWindowMinutes * 60 * 1000;
+  const records = await LoginThrottle.find({ key: { $in: [accountKey(email), ipKey(ip)] } });
+
+  let result = { allowed: true };
+  for (const record of records) {
+    if (record.lockedUntil > now) {
+      return {
+        allowed: false,
+        reason: record.key.startsWith('ip:') ? 'ip_locked' : 'account_locked',
+        retryAfter: Math.ceil((record.lockedUntil - now) / 1000)
+      };
+    }
+
+    if (!record.lastFailureAt || record.lastFailureAt < windowStart) continue;
+
+    const waitUntil = record.lastFailureAt.getTime() + delaySeconds(record.failures, settings) * 1000;
+    if (waitUntil > now) {
+      result = {
+        allowed: false,
+        reason: 'throttled',
+        retryAfter: Math.max(result.retryAfter || 0, Math.ceil((waitUntil - now) / 1000))
+      };
+    }
+  }
+  return result;
+};
+
+// Count a failure against one key, locking it once it hits the limit.
+// The pipeline update restarts the count when the last failure is older
+// than the window or an earlier lock has run out, so concurrent failures
+// are all counted.
+const recordFailure = async (key, limit, settings) => {
+  const now = new Date();
+  const windowMs = settings.failureWindowMinutes * 60 * 1000;
+  const lockMs = settings.lockoutMinutes * 60 * 1000;
+  const lockExpired = {
+    $and: [{ $gt: ['$lockedUntil', null] }, { $lte: ['$lockedUntil', now] }]
+  };
+  const restart = {
+    $or: [{ $lt: ['$lastFailureAt', new Date(now.getTime() - windowMs)] }, lockExpired]
+  };
+
+  const record = await LoginThrottle.findOneAndUpdate(
+    { key },
+    [{
+      $set: {
+        key,
+        failures: { $cond: [restart, 1, { $add: [{ $ifNull: ['$failures', 0] }, 1] }] },
+        lockedUntil: { $cond: [lockExpired, '$$REMOVE', '$lockedUntil'] },
+        lastFailureAt: now,
+        expiresAt: new Date(now.getTime() + Math.max(windowMs, lockMs))
+      }
+    }],
+    { upsert: true, new: true }
+  );
+
+  if (record.failures >= limit && !(record.lockedUntil > now)) {
+    const lockedUntil = new Date(now.getTime() + lockMs);
+    await LoginThrottle.updateOne({ _id: record._id }, { lockedUntil, expiresAt: lockedUntil });
+    return { locked: true, lockedUntil, failures: record.failures };
+  }
+  return { locked: false, failures: record.failures };
+};
+
+// Record a failed login or second-factor attempt for an email and IP
+export const recordLoginFailure = async ({ email, ip, user, reason }) => {
+  const settings = await getLoginSecurity();
+  const [account, address] = await Promise.all([
+    recordFailure(accountKey(email), settings.maxFailedAttempts, settings),
+    recordFailure(ipKey(ip), settings.ipMaxFailedAttempts, settings)
+  ]);
+
+  if (account.locked) {
+    await SystemLog.create({
+      level: 'warning',
+      message: `Account ${email.toLowerCase()} locked after ${account.failures} failed logins`,
+      action: 'ACCOUNT_LOCKED',
+      user,
+      details: { email: email.toLowerCase(), ip, reason, lockedUntil: account.lockedUntil },
+      timestamp: new Date()
+    });
+  }
+  if (address.locked) {
+    await SystemLog.create({
+      level: 'warning',
+      message: `IP ${ip} locked after ${address.failures} failed logins`,
+      action: 'IP_LOCKED',
+      details: { ip, lastEmail: email.toLowerCase(), lockedUntil: address.lockedUntil },
+      timestamp: new Date()
+    });
+  }
+
+  return { accountLocked: account.locked, ipLocked: address.locked };
+};
+
+// A successful login clears the account's failures
+export const recordLoginSuccess = ({ email }) => LoginThrottle.deleteOne({ key: accountKey(email) });
+
+// Remove an account lock; resolves to the removed record, if any
+export const unlockAccount = (email) => LoginThrottle.findOneAndDelete({ key: accountKey(email) });
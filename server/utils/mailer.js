@@ -0,0 +1,57 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const MAIL_DIR = process.env.MAIL_DIR || './mail';
+const DEFAULT_FROM = process.env.MAIL_FROM || 'PharmaLink <no-reply@pharmalink.com>';
+
+// Transports receive a message ({ from, to, subject, text, html }) and
+// deliver it. Register real providers (SMTP, API clients) with
+// registerTransport and select one with MAIL_TRANSPORT, which is
+// required in production.
+const transports = {
+  // Print messages to the server log; the default outside production
+  console: async (message) => {
+    console.log('Email:', {
+      to: message.to,
+      subject: message.subject,
+      text: message.text
+    });
+  },
+
+  // Write each message to a JSON file under MAIL_DIR
+  file: async (message) => {
+    await fs.mkdir(MAIL_DIR, { recursive: true });
+    const safeRecipient = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+    const filename = `${Date.now()}-${safeRecipient}.json`;
+    await fs.writeFile(path.join(MAIL_DIR, filename), JSON.stringify(message, null, 2));
+  }
+};
+
+export const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  // Falling back to the log in production would silently drop every email
+  const transportName = process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === 'production' ? null : 'console');
+  if (!transportName) {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+  const transport = transports[transportName];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  await transport({
+    from: DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html,
+    date: new Date()
+  });
+};
+
+// Base URL of the frontend, used to build links in emails
+export const clientUrl = (pathname) => `${process.env.CLIENT_URL || 'http://localhost:5173'}${pathname}`;
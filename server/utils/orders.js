@@ -0,0 +1,31 @@
+import Order from '../models/Order.js';
+import { releaseStock } from './inventory.js';
+
+// Cancel a still-pending order matching `filter` and return its stock.
+// The status condition makes this atomic, so stock is only returned once;
+// the pre-update document tells us which lines were still open.
+// Resolves to the cancelled order, or null if nothing matched.
+// `actor` and `reason` describe the cancellation in the stock ledger.
+export const cancelPendingOrder = async (filter, { actor, reason = 'Order cancelled' } = {}) => {
+  const previous = await Order.findOneAndUpdate(
+    { ...filter, status: 'pending' },
+    {
+      $set: {
+        status: 'cancelled',
+        'products.$[].status': 'cancelled',
+        'products.$[].updatedAt': new Date(),
+        updatedAt: new Date()
+      }
+    }
+  );
+
+  if (!previous) {
+    return null;
+  }
+
+  await releaseStock(
+    previous.products.filter(line => line.status !== 'cancelled'),
+    { actor, reason, order: previous._id }
+  );
+  return Order.findById(previous._id);
+};
@@ -0,0 +1,237 @@
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import User from '../models/User.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import Cart from '../models/Cart.js';
+import Session from '../models/Session.js';
+import SystemLog from '../models/SystemLog.js';
+import LoginThrottle from '../models/LoginThrottle.js';
+import { accountKey } from './loginThrottle.js';
+
+const EXPORT_FORMAT_VERSION = 1;
+
+const DELETED_NAME = 'Deleted user';
+const DELETED_STORE_NAME = 'Closed store';
+const REDACTED = '[deleted user]';
+
+// Log details fields that may hold a user's email address
+const LOG_EMAIL_FIELDS = ['email', 'lastEmail', 'deletedUserEmail'];
+
+const deletedEmail = (userId) => `deleted-${userId}@deleted.invalid`;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Order lines still waiting on fulfilment, as a customer or as a vendor
+export const countOpenOrders = async (user) => {
+  const open = ['pending', 'processing'];
+  const [asCustomer, asVendor] = await Promise.all([
+    Order.countDocuments({ user: user._id, status: { $in: open } }),
+    user.role === 'vendor'
+      ? Order.countDocuments({ products: { $elemMatch: { vendor: user._id, status: { $in: open } } } })
+      : 0
+  ]);
+  return asCustomer + asVendor;
+};
+
+// Everything stored about a user, as one JSON-serialisable archive
+export const exportUserData = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    return null;
+  }
+
+  const [orders, reviewedProducts, cart, sessions, logs, products] = await Promise.all([
+    Order.find({ user: user._id })
+      .populate('products.product', 'name')
+      .sort({ createdAt: -1 })
+      .lean(),
+    Product.find({ 'reviews.user': user._id }).select('name reviews').lean(),
+    Cart.findOne({ user: user._id }).populate('items.product', 'name').lean(),
+    Session.find({ user: user._id }).select('device ip createdAt lastUsedAt expiresAt revokedAt revokedReason').lean(),
+    SystemLog.find({ user: user._id }).select('level message action timestamp details').sort({ timestamp: -1 }).lean(),
+    user.role === 'vendor'
+      ? Product.find({ vendor: user._id }).select('-reviews -batches').lean()
+      : []
+  ]);
+
+  const reviews = reviewedProducts.flatMap(product => product.reviews
+    .filter(review => review.user?.equals(user._id))
+    .map(review => ({
+      product: { id: product._id, name: product.name },
+      rating: review.rating,
+      comment: review.comment,
+      date: review.date,
+      updatedAt: review.updatedAt,
+      hidden: review.hidden
+    })));
+
+  return {
+    format: 'pharmalink-personal-data',
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date(),
+    profile: user.toJSON(),
+    orders: orders.map(({ prescription, ...order }) => ({
+      ...order,
+      // The prescription file itself is available from the order page
+      prescription: prescription && {
+        originalName: prescription.originalName,
+        uploadedAt: prescription.uploadedAt,
+        status: prescription.status,
+        reason: prescription.reason,
+        reviewedAt: prescription.reviewedAt
+      }
+    })),
+    reviews,
+    cart: cart?.items || [],
+    sessions,
+    activity: logs,
+    ...(user.role === 'vendor' && { products })
+  };
+};
+
+const removeFiles = async (paths) => {
+  for (const filePath of paths.filter(Boolean)) {
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to remove personal data file:', filePath, error);
+      }
+    }
+  }
+};
+
+// Strip personal data from an account while keeping the records that
+// accounting depends on. Orders and logs stay, pointing at the anonymised
+// user; names, addresses, emails and uploaded documents go.
+export const anonymiseUser = async (userId, { reason = 'deletion_request', performedBy } = {}) => {
+  const user = await User.findById(userId);
+  if (!user || user.anonymisedAt) {
+    return null;
+  }
+
+  const originalEmail = user.email;
+  const now = new Date();
+
+  // An unusable password: random, hashed and never shown to anyone
+  const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+  const set = {
+    name: DELETED_NAME,
+    email: deletedEmail(user._id),
+    password,
+    status: 'inactive',
+    passwordChangedAt: now,
+    anonymisedAt: now,
+    'statusHistory.$[].reason': null
+  };
+  if (user.role === 'vendor') {
+    Object.assign(set, {
+      'storeDetails.storeName': DELETED_STORE_NAME,
+      'storeDetails.description': DELETED_STORE_NAME,
+      'storeDetails.address': REDACTED,
+      'storeDetails.phone': REDACTED,
+      'storeDetails.logo': '',
+      'storeDetails.active': false
+    });
+  }
+
+  // Hooks are bypassed on purpose: no re-hashing, no default permissions
+  await User.updateOne({ _id: user._id }, {
+    $set: set,
+    $unset: {
+      passwordReset: '',
+      twoFactor: '',
+      emailVerification: '',
+      emailVerifiedAt: '',
+      onboarding: '',
+      deletion: '',
+      'storeDetails.openingHours': '',
+      'storeDetails.deliveryArea': '',
+      'storeDetails.closure': ''
+    }
+  });
+
+  const orders = await Order.find({ user: user._id, 'prescription.file': { $exists: true } })
+    .select('prescription.file')
+    .lean();
+
+  await Promise.all([
+    Order.updateMany({ user: user._id }, {
+      $unset: {
+        'shippingAddress.street': '',
+        'shippingAddress.zipCode': '',
+        'prescription.file': '',
+        'prescription.originalName': ''
+      }
+    }),
+    Product.updateMany(
+      { vendor: user._id, status: { $ne: 'discontinued' } },
+      { $set: { status: 'discontinued' } }
+    ),
+    Cart.deleteOne({ user: user._id }),
+    Session.deleteMany({ user: user._id }),
+    LoginThrottle.deleteOne({ key: accountKey(originalEmail) }),
+    // Keep the log history but take the address out of it
+    SystemLog.updateMany(
+      {
+        $or: [
+          { user: user._id },
+          { message: { $regex: escapeRegex(originalEmail), $options: 'i' } }
+        ]
+      },
+      [{
+        $set: {
+          message: { $replaceAll: { input: '$message', find: originalEmail, replacement: REDACTED } }
+        }
+      }]
+    ),
+    ...LOG_EMAIL_FIELDS.map(field => SystemLog.updateMany(
+      { [`details.${field}`]: originalEmail },
+      { $set: { [`details.${field}`]: REDACTED } }
+    ))
+  ]);
+
+  await removeFiles([
+    ...orders.map(order => order.prescription.file),
+    ...(user.onboarding?.documents || []).map(doc => doc.file),
+    user.storeDetails?.logo?.startsWith('/uploads/stores/') && `.${user.storeDetails.logo}`
+  ]);
+
+  await SystemLog.create({
+    level: 'warning',
+    message: `Account ${user._id} anonymised`,
+    action: 'ACCOUNT_ANONYMISED',
+    user: performedBy || user._id,
+    details: { anonymisedUser: user._id, role: user.role, reason },
+    timestamp: now
+  });
+
+  return user._id;
+};
+
+// Anonymise every account whose deletion grace period has run out
+export const processDueDeletions = async (now = new Date()) => {
+  const due = await User.find({
+    'deletion.scheduledFor': { $lte: now },
+    anonymisedAt: { $exists: false }
+  }).select('_id');
+
+  let anonymised = 0;
+  let skipped = 0;
+  for (const { _id } of due) {
+    const user = await User.findById(_id);
+    // Orders still in flight are finished before the account goes
+    if (!user || await countOpenOrders(user)) {
+      skipped++;
+      continue;
+    }
+    if (await anonymiseUser(_id)) {
+      anonymised++;
+    }
+  }
+
+  return { anonymised, skipped };
+};
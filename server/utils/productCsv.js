@@ -0,0 +1,141 @@
+import mongoose from 'mongoose';
+import { unescapeCsvFormula } from './csv.js';
+
+export const MAX_IMPORT_ROWS = 1000;
+
+// Column order for exports; imports accept these headers in any order.
+// `id` lets products created before SKUs existed be matched once, and
+// `status` is informational only.
+export const PRODUCT_CSV_COLUMNS = [
+  'sku',
+  'id',
+  'name',
+  'description',
+  'price',
+  'category',
+  'manufacturer',
+  'requiresPrescription',
+  'stock',
+  'reorderThreshold',
+  'tags',
+  'specifications',
+  'dimensions.length',
+  'dimensions.width',
+  'dimensions.height',
+  'dimensions.weight',
+  'status'
+];
+
+// Multi-value cells use `|` between items; specifications are `Name: Value`
+const LIST_SEPARATOR = '|';
+
+const DIMENSIONS = ['length', 'width', 'height', 'weight'];
+
+const BOOLEAN_VALUES = {
+  true: true, yes: true, y: true, 1: true,
+  false: false, no: false, n: false, 0: false
+};
+
+export const productToCsvRow = (product) => ({
+  sku: product.sku,
+  id: product._id.toString(),
+  name: product.name,
+  description: product.description,
+  price: product.price,
+  category: product.category,
+  manufacturer: product.manufacturer,
+  requiresPrescription: product.requiresPrescription ? 'true' : 'false',
+  stock: product.stock,
+  reorderThreshold: product.reorderThreshold,
+  tags: (product.tags || []).join(LIST_SEPARATOR),
+  specifications: (product.specifications || [])
+    .map(spec => `${spec.name}: ${spec.value}`)
+    .join(` ${LIST_SEPARATOR} `),
+  ...Object.fromEntries(DIMENSIONS.map(key => [`dimensions.${key}`, product.dimensions?.[key]])),
+  status: product.status
+});
+
+const splitList = (cell) => cell.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+
+// Turn one CSV record (header -> cell) into product fields. Empty cells are
+// left out so updates keep the stored value. Returns { values, errors }.
+export const parseProductRow = (record) => {
+  const values = {};
+  const errors = [];
+  const cell = (column) => unescapeCsvFormula((record[column] ?? '').trim());
+
+  const sku = cell('sku');
+  if (!sku) {
+    errors.push('sku: SKU is required');
+  } else if (sku.length > 64) {
+    errors.push('sku: SKU must be at most 64 characters');
+  }
+  values.sku = sku;
+
+  const id = cell('id');
+  if (id && !mongoose.Types.ObjectId.isValid(id)) {
+    errors.push('id: Invalid product id');
+  }
+
+  for (const field of ['name', 'description', 'category', 'manufacturer']) {
+    if (cell(field)) values[field] = cell(field);
+  }
+
+  if (cell('price')) {
+    const price = Number(cell('price'));
+    if (Number.isNaN(price)) errors.push('price: Price must be a number');
+    else values.price = price;
+  }
+
+  if (cell('stock')) {
+    const stock = Number(cell('stock'));
+    if (!Number.isInteger(stock) || stock < 0) errors.push('stock: Stock must be a non-negative whole number');
+    else values.stock = stock;
+  }
+
+  if (cell('reorderThreshold')) {
+    const threshold = Number(cell('reorderThreshold'));
+    if (!Number.isInteger(threshold) || threshold < 0) errors.push('reorderThreshold: Must be a non-negative whole number');
+    else values.reorderThreshold = threshold;
+  }
+
+  if (cell('requiresPrescription')) {
+    const flag = BOOLEAN_VALUES[cell('requiresPrescription').toLowerCase()];
+    if (flag === undefined) errors.push('requiresPrescription: Use true or false');
+    else values.requiresPrescription = flag;
+  }
+
+  if (cell('tags')) {
+    values.tags = splitList(cell('tags'));
+  }
+
+  if (cell('specifications')) {
+    const specifications = [];
+    for (const item of splitList(cell('specifications'))) {
+      const separator = item.indexOf(':');
+      if (separator < 1) {
+        errors.push(`specifications: "${item}" must be written as Name: Value`);
+        continue;
+      }
+      specifications.push({
+        name: item.slice(0, separator).trim(),
+        value: item.slice(separator + 1).trim()
+      });
+    }
+    values.specifications = specifications;
+  }
+
+  const dimensions = {};
+  for (const key of DIMENSIONS) {
+    const raw = cell(`dimensions.${key}`);
+    if (!raw) continue;
+    const value = Number(raw);
+    if (Number.isNaN(value) || value < 0) errors.push(`dimensions.${key}: Must be a non-negative number`);
+    else dimensions[key] = value;
+  }
+  if (Object.keys(dimensions).length) {
+    values.dimensions = dimensions;
+  }
+
+  return { id: id || null, values, errors };
+};
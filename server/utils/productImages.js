@@ -0,0 +1,149 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import sharp from 'sharp';
+import Product from '../models/Product.js';
+
+const UPLOAD_DIR = './uploads/products';
+const PUBLIC_PREFIX = '/uploads/products/';
+
+// Largest edge in pixels for each stored variant
+const VARIANTS = {
+  url: { width: 1600, suffix: '' },
+  medium: { width: 800, suffix: '-medium' },
+  thumbnail: { width: 200, suffix: '-thumb' }
+};
+
+// Files this young may belong to an upload that hasn't been saved yet
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+// Magic numbers of the formats we accept; the MIME type and extension come
+// from the client and can't be trusted
+const SIGNATURES = [
+  { format: 'jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { format: 'png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { format: 'webp', bytes: [0x52, 0x49, 0x46, 0x46], at: 0, also: { bytes: [0x57, 0x45, 0x42, 0x50], at: 8 } }
+];
+
+const invalidImage = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_IMAGE';
+  return error;
+};
+
+const matches = (buffer, bytes, at = 0) => bytes.every((byte, index) => buffer[at + index] === byte);
+
+export const detectImageFormat = (buffer) => {
+  const signature = SIGNATURES.find(({ bytes, at, also }) =>
+    matches(buffer, bytes, at) && (!also || matches(buffer, also.bytes, also.at)));
+  return signature?.format || null;
+};
+
+const toFilePath = (url) => (url?.startsWith(PUBLIC_PREFIX)
+  ? path.join(UPLOAD_DIR, path.basename(url))
+  : null);
+
+// Every file an image entry points at
+export const imageUrls = (image) => [image.url, image.medium, image.thumbnail].filter(Boolean);
+
+const removeFiles = async (urls) => {
+  for (const filePath of urls.map(toFilePath).filter(Boolean)) {
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to remove product image:', filePath, error);
+      }
+    }
+  }
+};
+
+export const removeImageFiles = (images) => removeFiles(images.flatMap(imageUrls));
+
+// Validate an uploaded image and write its variants to disk. Orientation
+// is applied from EXIF and all metadata (camera, GPS) is dropped, which is
+// sharp's default when `withMetadata` isn't used. Returns the entry to
+// store on `Product.images`.
+export const processProductImage = async (file, alt) => {
+  if (!detectImageFormat(file.buffer)) {
+    throw invalidImage(`${file.originalname} is not a JPEG, PNG or WebP image`);
+  }
+
+  try {
+    await sharp(file.buffer).metadata();
+  } catch (error) {
+    throw invalidImage(`${file.originalname} could not be read as an image`);
+  }
+
+  const base = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
+  const image = { alt };
+  const written = [];
+
+  try {
+    for (const [field, { width, suffix }] of Object.entries(VARIANTS)) {
+      const url = `${PUBLIC_PREFIX}${base}${suffix}.webp`;
+      const info = await sharp(file.buffer)
+        .rotate()
+        .resize({ width, height: width, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 82 })
+        .toFile(toFilePath(url));
+
+      written.push(url);
+      image[field] = url;
+      if (field === 'url') {
+        image.width = info.width;
+        image.height = info.height;
+      }
+    }
+  } catch (error) {
+    await removeFiles(written);
+    // File system errors carry a code; anything else is sharp failing to decode
+    throw error.code ? error : invalidImage(`${file.originalname} could not be processed`);
+  }
+
+  return image;
+};
+
+// Process a batch of uploads; if any fails, files already written are removed
+export const processProductImages = async (files = [], alt) => {
+  const images = [];
+  try {
+    for (const file of files) {
+      images.push(await processProductImage(file, alt));
+    }
+  } catch (error) {
+    await removeImageFiles(images);
+    throw error;
+  }
+  return images;
+};
+
+// Delete files in uploads/products that no product refers to any more
+export const removeOrphanedImages = async (now = Date.now()) => {
+  let entries;
+  try {
+    entries = await fs.readdir(UPLOAD_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return { removed: 0 };
+    throw error;
+  }
+
+  const products = await Product.find({ 'images.0': { $exists: true } }).select('images').lean();
+  const referenced = new Set(products
+    .flatMap(product => product.images.flatMap(imageUrls))
+    .map(url => path.basename(url)));
+
+  let removed = 0;
+  for (const name of entries) {
+    if (referenced.has(name)) continue;
+
+    const filePath = path.join(UPLOAD_DIR, name);
+    const stats = await fs.stat(filePath);
+    if (!stats.isFile() || now - stats.mtimeMs < ORPHAN_GRACE_MS) continue;
+
+    await fs.unlink(filePath);
+    removed++;
+  }
+
+  return { removed };
+};
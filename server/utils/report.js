@@ -0,0 +1,272 @@
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import SystemLog from '../models/SystemLog.js';
+import User from '../models/User.js';
+import { toCsv, escapeCsvValue } from './csv.js';
+
+const TOP_PRODUCTS_LIMIT = 10;
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+// Order lines that count as sold: completed lines, plus lines of completed
+// orders placed before lines carried their own status
+const soldLinesPipeline = (from, to) => [
+  { $match: { createdAt: { $gte: from, $lte: to } } },
+  { $unwind: '$products' },
+  {
+    $match: {
+      $or: [
+        { 'products.status': 'completed' },
+        { status: 'completed', 'products.status': { $ne: 'cancelled' } }
+      ]
+    }
+  },
+  {
+    $project: {
+      product: '$products.product',
+      vendor: '$products.vendor',
+      quantity: '$products.quantity',
+      revenue: { $multiply: ['$products.price', '$products.quantity'] }
+    }
+  }
+];
+
+// Gather the operational figures for a date range
+export const buildReport = async ({ from, to, lowStockThreshold = 10 }) => {
+  const [
+    newUsers,
+    vendorApprovals,
+    ordersByStatus,
+    revenueByVendor,
+    revenueByCategory,
+    topProducts,
+    lowStockProducts,
+    errorsByAction
+  ] = await Promise.all([
+    User.aggregate([
+      { $match: { createdAt: { $gte: from, $lte: to } } },
+      { $group: { _id: '$role', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]),
+    User.aggregate([
+      { $match: { role: 'vendor' } },
+      { $unwind: '$statusHistory' },
+      {
+        $match: {
+          'statusHistory.status': 'active',
+          'statusHistory.timestamp': { $gte: from, $lte: to }
+        }
+      },
+      {
+        $lookup: {
+          from: User.collection.name,
+          localField: 'statusHistory.updatedBy',
+          foreignField: '_id',
+          as: 'approver'
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          vendor: '$name',
+          email: '$email',
+          storeName: '$storeDetails.storeName',
+          approvedAt: '$statusHistory.timestamp',
+          approvedBy: { $first: '$approver.email' }
+        }
+      },
+      { $sort: { approvedAt: 1 } }
+    ]),
+    Order.aggregate([
+      { $match: { createdAt: { $gte: from, $lte: to } } },
+      { $group: { _id: '$status', count: { $sum: 1 }, value: { $sum: '$total' } } },
+      { $sort: { _id: 1 } }
+    ]),
+    Order.aggregate([
+      ...soldLinesPipeline(from, to),
+      { $group: { _id: '$vendor', revenue: { $sum: '$revenue' }, units: { $sum: '$quantity' } } },
+      {
+        $lookup: {
+          from: User.collection.name,
+          localField: '_id',
+          foreignField: '_id',
+          as: 'vendor'
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          vendor: { $ifNull: [{ $first: '$vendor.storeDetails.storeName' }, 'Unknown vendor'] },
+          revenue: 1,
+          units: 1
+        }
+      },
+      { $sort: { revenue: -1 } }
+    ]),
+    Order.aggregate([
+      ...soldLinesPipeline(from, to),
+      {
+        $lookup: {
+          from: Product.collection.name,
+          localField: 'product',
+          foreignField: '_id',
+          as: 'product'
+        }
+      },
+      {
+        $group: {
+          _id: { $ifNull: [{ $first: '$product.category' }, 'Uncategorised'] },
+          revenue: { $sum: '$revenue' },
+          units: { $sum: '$quantity' }
+        }
+      },
+      { $project: { _id: 0, category: '$_id', revenue: 1, units: 1 } },
+      { $sort: { revenue: -1 } }
+    ]),
+    Order.aggregate([
+      ...soldLinesPipeline(from, to),
+      { $group: { _id: '$product', units: { $sum: '$quantity' }, revenue: { $sum: '$revenue' } } },
+      { $sort: { units: -1, revenue: -1 } },
+      { $limit: TOP_PRODUCTS_LIMIT },
+      {
+        $lookup: {
+          from: Product.collection.name,
+          localField: '_id',
+          foreignField: '_id',
+          as: 'product'
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          product: { $ifNull: [{ $first: '$product.name' }, 'Deleted product'] },
+          category: { $first: '$product.category' },
+          units: 1,
+          revenue: 1
+        }
+      }
+    ]),
+    Product.find({
+      status: { $in: ['published', 'outOfStock'] },
+      stock: { $lte: lowStockThreshold }
+    })
+      .select('name category stock vendor')
+      .populate('vendor', 'storeDetails.storeName')
+      .sort({ stock: 1 })
+      .lean(),
+    SystemLog.aggregate([
+      { $match: { level: 'error', timestamp: { $gte: from, $lte: to } } },
+      { $group: { _id: { $ifNull: ['$action', 'UNKNOWN'] }, count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ])
+  ]);
+
+  return {
+    period: { from, to },
+    generatedAt: new Date(),
+    newUsersByRole: newUsers.map(row => ({ role: row._id, count: row.count })),
+    vendorApprovals,
+    ordersByStatus: ordersByStatus.map(row => ({
+      status: row._id,
+      count: row.count,
+      value: round(row.value)
+    })),
+    revenueByVendor: revenueByVendor.map(row => ({ ...row, revenue: round(row.revenue) })),
+    revenueByCategory: revenueByCategory.map(row => ({ ...row, revenue: round(row.revenue) })),
+    topProducts: topProducts.map(row => ({ ...row, revenue: round(row.revenue) })),
+    lowStockProducts: lowStockProducts.map(product => ({
+      product: product.name,
+      category: product.category,
+      vendor: product.vendor?.storeDetails?.storeName,
+      stock: product.stock
+    })),
+    errors: {
+      total: errorsByAction.reduce((sum, row) => sum + row.count, 0),
+      byAction: errorsByAction.map(row => ({ action: row._id, count: row.count }))
+    }
+  };
+};
+
+// Sections shared by the CSV and HTML renderings
+const SECTIONS = [
+  { title: 'New users by role', key: 'newUsersByRole', columns: ['role', 'count'] },
+  { title: 'Vendor approvals', key: 'vendorApprovals', columns: ['vendor', 'email', 'storeName', 'approvedAt', 'approvedBy'] },
+  { title: 'Orders by status', key: 'ordersByStatus', columns: ['status', 'count', 'value'] },
+  { title: 'Revenue by vendor', key: 'revenueByVendor', columns: ['vendor', 'units', 'revenue'] },
+  { title: 'Revenue by category', key: 'revenueByCategory', columns: ['category', 'units', 'revenue'] },
+  { title: 'Top-selling products', key: 'topProducts', columns: ['product', 'category', 'units', 'revenue'] },
+  { title: 'Low-stock products', key: 'lowStockProducts', columns: ['product', 'category', 'vendor', 'stock'] },
+  { title: 'Errors by action', rows: (report) => report.errors.byAction, columns: ['action', 'count'] }
+];
+
+const sectionRows = (report, section) => (section.rows ? section.rows(report) : report[section.key]);
+
+export const renderReportCsv = (report) => [
+  `${escapeCsvValue('PharmaLink system report')},${escapeCsvValue(report.period.from)},${escapeCsvValue(report.period.to)}`,
+  ...SECTIONS.map(section => `${escapeCsvValue(section.title)}\r\n${toCsv(sectionRows(report, section), section.columns)}`)
+].join('\r\n\r\n');
+
+const escapeHtml = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString().slice(0, 16).replace('T', ' ') : String(value);
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+const renderTable = (rows, columns) => {
+  if (!rows.length) {
+    return '<p class="empty">No data for this period.</p>';
+  }
+  return `<table>
+  <thead><tr>${columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>
+  <tbody>${rows.map(row => `<tr>${columns.map(column => `<td>${escapeHtml(row[column])}</td>`).join('')}</tr>`).join('')}</tbody>
+</table>`;
+};
+
+export const renderReportHtml = (report) => {
+  const totalRevenue = report.revenueByVendor.reduce((sum, row) => sum + row.revenue, 0);
+  const totalOrders = report.ordersByStatus.reduce((sum, row) => sum + row.count, 0);
+  const newUsers = report.newUsersByRole.reduce((sum, row) => sum + row.count, 0);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>PharmaLink report ${escapeHtml(report.period.from)} - ${escapeHtml(report.period.to)}</title>
+<style>
+  body { font-family: Arial, sans-serif; color: #1f2937; margin: 2rem; }
+  h1 { margin-bottom: 0; }
+  .meta { color: #6b7280; margin-top: 0.25rem; }
+  .summary { display: flex; gap: 1rem; margin: 1.5rem 0; }
+  .summary div { border: 1px solid #d1d5db; border-radius: 6px; padding: 0.75rem 1rem; }
+  .summary strong { display: block; font-size: 1.4rem; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 1.5rem; }
+  th, td { border: 1px solid #d1d5db; padding: 0.35rem 0.6rem; text-align: left; font-size: 0.9rem; }
+  th { background: #f3f4f6; }
+  .empty { color: #6b7280; font-style: italic; }
+  @media print {
+    body { margin: 0; }
+    section { page-break-inside: avoid; }
+  }
+</style>
+</head>
+<body>
+<h1>PharmaLink system report</h1>
+<p class="meta">${escapeHtml(report.period.from)} to ${escapeHtml(report.period.to)} &middot; generated ${escapeHtml(report.generatedAt)}</p>
+<div class="summary">
+  <div><strong>${escapeHtml(totalRevenue.toFixed(2))}</strong>Revenue</div>
+  <div><strong>${totalOrders}</strong>Orders</div>
+  <div><strong>${newUsers}</strong>New users</div>
+  <div><strong>${report.vendorApprovals.length}</strong>Vendor approvals</div>
+  <div><strong>${report.errors.total}</strong>Errors</div>
+</div>
+${SECTIONS.map(section => `<section>
+<h2>${escapeHtml(section.title)}</h2>
+${renderTable(sectionRows(report, section), section.columns)}
+</section>`).join('\n')}
+</body>
+</html>`;
+};
@@ -0,0 +1,126 @@
+import SystemLog from '../models/SystemLog.js';
+
+// setTimeout overflows past ~24.8 days; longer waits are chained
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+const jobs = new Map();
+let started = false;
+
+// Register a periodic job. `getNextRun(job)` returns the Date of the next run
+// and is re-evaluated after every run, so schedules can depend on settings.
+export const registerJob = (name, { description, getNextRun, run }) => {
+  jobs.set(name, {
+    name,
+    description,
+    getNextRun,
+    run,
+    timer: null,
+    running: false,
+    lastRun: null,
+    lastDuration: null,
+    lastResult: null,
+    lastError: null,
+    // Failed runs since the last success, for jobs that back off
+    failures: 0,
+    nextRun: null
+  });
+};
+
+const scheduleJob = async (job) => {
+  clearTimeout(job.timer);
+  job.timer = null;
+  if (!started) return;
+
+  try {
+    job.nextRun = await job.getNextRun(job);
+  } catch (error) {
+    // Try again shortly rather than dropping the job
+    console.error(`Failed to schedule job ${job.name}:`, error);
+    job.lastError = { message: error.message, at: new Date() };
+    job.nextRun = new Date(Date.now() + 60 * 1000);
+  }
+
+  const delay = Math.max(0, job.nextRun.getTime() - Date.now());
+  job.timer = setTimeout(
+    // Failures are recorded on the job and logged by runJob
+    () => (delay > MAX_TIMEOUT ? scheduleJob(job) : runJob(job.name).catch(() => {})),
+    Math.min(delay, MAX_TIMEOUT)
+  );
+  job.timer.unref?.();
+};
+
+// Run a job now and schedule its next run. Overlapping runs are skipped.
+export const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+  if (job.running) {
+    return { skipped: true };
+  }
+
+  job.running = true;
+  job.lastRun = new Date();
+  try {
+    job.lastResult = await job.run();
+    job.lastError = null;
+    job.failures = 0;
+    return job.lastResult;
+  } catch (error) {
+    console.error(`Job ${name} failed:`, error);
+    job.lastError = { message: error.message, at: new Date() };
+    job.failures++;
+    await SystemLog.create({
+      level: 'error',
+      message: `Scheduled job ${name} failed`,
+      action: 'JOB_FAILED',
+      details: { job: name, error: error.message },
+      timestamp: new Date()
+    }).catch(logError => console.error('Failed to create system log:', logError));
+    throw error;
+  } finally {
+    job.running = false;
+    job.lastDuration = Date.now() - job.lastRun.getTime();
+    await scheduleJob(job);
+  }
+};
+
+// Recompute a job's next run, e.g. after the settings it depends on changed
+export const rescheduleJob = async (name) => {
+  const job = jobs.get(name);
+  if (job && !job.running) {
+    await scheduleJob(job);
+  }
+};
+
+export const startScheduler = async () => {
+  if (started) return;
+  started = true;
+  for (const job of jobs.values()) {
+    await scheduleJob(job);
+  }
+  console.log(`Scheduler started with ${jobs.size} jobs`);
+};
+
+export const stopScheduler = () => {
+  started = false;
+  for (const job of jobs.values()) {
+    clearTimeout(job.timer);
+    job.timer = null;
+    job.nextRun = null;
+  }
+};
+
+export const getJobStatus = () => [...jobs.values()].map(job => ({
+  name: job.name,
+  description: job.description,
+  running: job.running,
+  lastRun: job.lastRun,
+  lastDuration: job.lastDuration,
+  lastResult: job.lastResult,
+  lastError: job.lastError,
+  failures: job.failures,
+  nextRun: job.nextRun
+}));
+
+export const hasJob = (name) => jobs.has(name);
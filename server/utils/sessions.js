@@ -0,0 +1,120 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import SystemLog from '../models/SystemLog.js';
+
+const ACCESS_TOKEN_TTL = '1h';
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Refresh tokens use their own key so an access-token secret leak can't
+// be used to mint refresh tokens. Without JWT_REFRESH_SECRET a separate
+// key is derived from JWT_SECRET.
+const refreshTokenSecret = () => process.env.JWT_REFRESH_SECRET ||
+  crypto.createHmac('sha256', process.env.JWT_SECRET).update('refresh-token').digest('hex');
+
+const invalidToken = (message = 'Invalid refresh token') => {
+  const error = new Error(message);
+  error.code = 'INVALID_REFRESH_TOKEN';
+  return error;
+};
+
+const signTokens = (user, sessionId, tokenId) => ({
+  accessToken: jwt.sign(
+    { userId: user._id, email: user.email, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  ),
+  refreshToken: jwt.sign(
+    { userId: user._id, sid: sessionId, jti: tokenId },
+    refreshTokenSecret(),
+    { expiresIn: Math.floor(REFRESH_TOKEN_TTL_MS / 1000) }
+  )
+});
+
+// Start a new session (refresh token family) for a user
+export const issueTokens = async (user, req) => {
+  const tokenId = crypto.randomUUID();
+  const session = await Session.create({
+    user: user._id,
+    tokenId,
+    device: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+
+  return signTokens(user, session._id, tokenId);
+};
+
+// Exchange a refresh token for a new pair. Each refresh token works once;
+// presenting an already-rotated one means it leaked, so the whole family
+// is revoked.
+export const rotateRefreshToken = async (refreshToken, req) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, refreshTokenSecret());
+  } catch (error) {
+    throw invalidToken();
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+  if (!user) {
+    throw invalidToken('User not found');
+  }
+  if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+    throw invalidToken();
+  }
+
+  const tokenId = crypto.randomUUID();
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: decoded.sid,
+      user: user._id,
+      tokenId: decoded.jti,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      tokenId,
+      lastUsedAt: new Date(),
+      device: req.get('user-agent'),
+      ip: req.ip
+    }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { _id: decoded.sid, user: user._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'token_reuse' }
+    );
+
+    if (reused) {
+      await SystemLog.create({
+        level: 'warning',
+        message: 'Refresh token reuse detected, session revoked',
+        action: 'TOKEN_REUSE_DETECTED',
+        user: user._id,
+        details: { sessionId: reused._id, ip: req.ip, device: req.get('user-agent') },
+        timestamp: new Date()
+      });
+    }
+    throw invalidToken();
+  }
+
+  return { user, tokens: signTokens(user, session._id, tokenId) };
+};
+
+// Revoke every active session matching the filter; resolves to the count
+export const revokeSessions = async (filter, reason) => {
+  const { modifiedCount } = await Session.updateMany(
+    { ...filter, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return modifiedCount;
+};
+
+export const isSessionActive = (sessionId) => Session.exists({
+  _id: sessionId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
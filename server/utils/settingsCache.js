@@ -0,0 +1,47 @@
+import SystemSettings from '../models/SystemSettings.js';
+
+// How long a cached copy is trusted. Writes through the admin API invalidate
+// it immediately; the TTL only bounds staleness across server instances.
+const CACHE_TTL_MS = Number(process.env.SETTINGS_CACHE_TTL_MS) || 30 * 1000;
+
+let cached = null;
+let cachedAt = 0;
+let pending = null;
+// Bumped on invalidation so a lookup already in flight isn't cached
+let generation = 0;
+
+// Get the system settings document, hitting Mongo at most once per TTL
+export const getCachedSettings = async () => {
+  if (cached && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cached;
+  }
+
+  // Share one lookup between concurrent requests
+  if (!pending) {
+    const startedAt = generation;
+    const lookup = SystemSettings.getInstance()
+      .then(settings => {
+        if (startedAt === generation) {
+          cached = settings;
+          cachedAt = Date.now();
+        }
+        return settings;
+      })
+      .finally(() => {
+        if (pending === lookup) {
+          pending = null;
+        }
+      });
+    pending = lookup;
+  }
+
+  return pending;
+};
+
+// Drop the cached copy so the next read sees fresh settings
+export const invalidateSettingsCache = () => {
+  cached = null;
+  cachedAt = 0;
+  pending = null;
+  generation++;
+};
@@ -0,0 +1,74 @@
+import Product from '../models/Product.js';
+import User from '../models/User.js';
+import SystemLog from '../models/SystemLog.js';
+import { sendMail, clientUrl } from './mailer.js';
+
+// Products a vendor is still selling or about to sell
+const REORDER_STATUSES = ['published', 'outOfStock', 'pendingReview', 'changesRequested'];
+
+// Products at or below their reorder threshold
+export const lowStockQuery = (filter = {}) => ({
+  ...filter,
+  status: { $in: REORDER_STATUSES },
+  $expr: { $lte: ['$stock', '$reorderThreshold'] }
+});
+
+const describe = (product) => `${product.sku ? `${product.sku} ` : ''}${product.name}: ${product.stock} left (reorder at ${product.reorderThreshold})`;
+
+// Alert vendors about products matching `filter` that have run low since
+// their last alert, one email per vendor. Each product is claimed with a
+// conditional update, so concurrent checks never alert twice.
+export const checkStockLevels = async (filter = {}) => {
+  // Restocked products can alert again the next time they run low
+  await Product.updateMany(
+    {
+      ...filter,
+      lowStockNotifiedAt: { $exists: true },
+      $expr: { $gt: ['$stock', '$reorderThreshold'] }
+    },
+    { $unset: { lowStockNotifiedAt: '' } }
+  );
+
+  const due = await Product.find({ ...lowStockQuery(filter), lowStockNotifiedAt: { $exists: false } }).select('_id');
+
+  const byVendor = new Map();
+  for (const { _id } of due) {
+    const product = await Product.findOneAndUpdate(
+      { _id, lowStockNotifiedAt: { $exists: false } },
+      { $set: { lowStockNotifiedAt: new Date() } },
+      { new: true }
+    ).select('name sku stock reorderThreshold vendor');
+    if (!product) continue;
+
+    const key = product.vendor.toString();
+    byVendor.set(key, [...(byVendor.get(key) || []), product]);
+  }
+
+  for (const [vendorId, products] of byVendor) {
+    await SystemLog.create({
+      level: 'warning',
+      message: `${products.length} products at or below their reorder threshold`,
+      action: 'LOW_STOCK_ALERT',
+      user: vendorId,
+      details: { products: products.map(product => product._id) },
+      timestamp: new Date()
+    });
+
+    try {
+      const vendor = await User.findById(vendorId).select('name email');
+      if (!vendor) continue;
+
+      await sendMail({
+        to: vendor.email,
+        subject: 'Products running low on stock',
+        text: `Hello ${vendor.name},\n\nThese products have reached their reorder threshold:\n\n` +
+          products.map(product => `- ${describe(product)}`).join('\n') +
+          `\n\nReview your inventory alerts:\n${clientUrl('/vendor/inventory')}`
+      });
+    } catch (mailError) {
+      console.error('Failed to send low-stock alert:', mailError);
+    }
+  }
+
+  return { alerted: [...byVendor.values()].reduce((sum, products) => sum + products.length, 0) };
+};
@@ -0,0 +1,169 @@
+import Product from '../models/Product.js';
+import StockMovement from '../models/StockMovement.js';
+import SystemLog from '../models/SystemLog.js';
+
+// Ledger entries for an order line: one per batch it was allocated from,
+// or one for the whole line when the product isn't batch-tracked.
+// `sign` is -1 for stock leaving and 1 for stock coming back.
+export const lineMovements = (line, sign, fields) => (line.allocations?.length
+  ? line.allocations.map(allocation => ({
+    ...fields,
+    product: line.product,
+    vendor: line.vendor,
+    quantity: sign * allocation.quantity,
+    batch: allocation.batch,
+    lotNumber: allocation.lotNumber
+  }))
+  : [{ ...fields, product: line.product, vendor: line.vendor, quantity: sign * line.quantity }]);
+
+const OPENING_BALANCE = 'Opening balance';
+
+// Products that predate the ledger start with an opening balance: whatever
+// they held before the changes about to be recorded
+const openingBalances = async (movements) => {
+  const productIds = [...new Set(movements.map(entry => entry.product.toString()))];
+  const tracked = new Set((await StockMovement.distinct('product', { product: { $in: productIds } }))
+    .map(id => id.toString()));
+  const untracked = productIds.filter(id => !tracked.has(id));
+  if (!untracked.length) return [];
+
+  const products = await Product.find({ _id: { $in: untracked } }).select('stock vendor');
+  return products.map(product => ({
+    product: product._id,
+    vendor: product.vendor,
+    type: 'adjustment',
+    quantity: product.stock - movements
+      .filter(entry => entry.product.toString() === product._id.toString())
+      .reduce((sum, entry) => sum + entry.quantity, 0),
+    reason: OPENING_BALANCE
+  }));
+};
+
+// Append entries to the ledger, after an opening balance for products
+// seen for the first time, looking up the vendor where it's missing
+export const recordMovements = async (entries) => {
+  const changes = entries.filter(entry => entry.quantity);
+  if (!changes.length) return [];
+
+  const movements = [
+    ...(await openingBalances(changes)).filter(entry => entry.quantity),
+    ...changes
+  ];
+
+  const missingVendor = movements.filter(entry => !entry.vendor).map(entry => entry.product);
+  if (missingVendor.length) {
+    const products = await Product.find({ _id: { $in: missingVendor } }).select('vendor');
+    const vendors = new Map(products.map(product => [product._id.toString(), product.vendor]));
+    for (const entry of movements) {
+      entry.vendor = entry.vendor || vendors.get(entry.product.toString());
+    }
+  }
+
+  return StockMovement.insertMany(movements);
+};
+
+// For stock changes that have already been applied: a ledger failure is
+// logged for reconciliation instead of failing the operation that caused it
+export const recordMovementsSafely = async (entries) => {
+  try {
+    return await recordMovements(entries);
+  } catch (error) {
+    console.error('Failed to record stock movements:', error);
+    return [];
+  }
+};
+
+// Stock each product should hold according to the ledger
+export const ledgerBalances = async (productIds) => {
+  const totals = await StockMovement.aggregate([
+    { $match: { product: { $in: productIds } } },
+    { $group: { _id: '$product', balance: { $sum: '$quantity' }, movements: { $sum: 1 } } }
+  ]);
+  return new Map(totals.map(total => [total._id.toString(), total]));
+};
+
+// Record the units of expired batches as written off. Each batch is
+// flagged atomically first, so overlapping runs write it off only once.
+export const writeOffExpiredBatches = async (filter = {}, now = new Date()) => {
+  const products = await Product.find({
+    ...filter,
+    batches: { $elemMatch: { expiryDate: { $lte: now }, quantity: { $gt: 0 }, writtenOffAt: { $exists: false } } }
+  }).select('vendor batches');
+
+  let writtenOff = 0;
+  for (const product of products) {
+    const expired = product.batches.filter(batch =>
+      batch.expiryDate <= now && batch.quantity > 0 && !batch.writtenOffAt);
+
+    for (const batch of expired) {
+      const { modifiedCount } = await Product.updateOne(
+        { _id: product._id, batches: { $elemMatch: { _id: batch._id, writtenOffAt: { $exists: false } } } },
+        { $set: { 'batches.$[batch].writtenOffAt': now } },
+        { arrayFilters: [{ 'batch._id': batch._id }] }
+      );
+      if (!modifiedCount) continue;
+
+      await recordMovementsSafely([{
+        product: product._id,
+        vendor: product.vendor,
+        type: 'expiryWriteOff',
+        quantity: -batch.quantity,
+        batch: batch._id,
+        lotNumber: batch.lotNumber,
+        reason: `Lot ${batch.lotNumber} expired on ${batch.expiryDate.toISOString().slice(0, 10)}`
+      }]);
+      writtenOff++;
+    }
+  }
+
+  return { writtenOff };
+};
+
+// Compare each product's stock with its ledger. Products that have never
+// moved get their opening balance; any other difference is reported for a
+// person to investigate rather than silently corrected.
+export const reconcileStock = async (filter = {}) => {
+  await writeOffExpiredBatches(filter);
+  await Product.syncBatchStock(filter);
+  const products = await Product.find(filter).select('name sku stock vendor');
+  const balances = await ledgerBalances(products.map(product => product._id));
+
+  const openings = [];
+  const discrepancies = [];
+  for (const product of products) {
+    const ledger = balances.get(product._id.toString());
+    if (!ledger) {
+      if (!product.stock) continue;
+      openings.push({
+        product: product._id,
+        vendor: product.vendor,
+        type: 'adjustment',
+        quantity: product.stock,
+        reason: OPENING_BALANCE
+      });
+    } else if (ledger.balance !== product.stock) {
+      discrepancies.push({
+        product: product._id,
+        sku: product.sku,
+        name: product.name,
+        stock: product.stock,
+        ledgerBalance: ledger.balance
+      });
+    }
+  }
+
+  // Inserted directly: these are the opening balances themselves
+  await StockMovement.insertMany(openings);
+
+  if (discrepancies.length) {
+    await SystemLog.create({
+      level: 'warning',
+      message: `${discrepancies.length} products have stock that differs from the movement ledger`,
+      action: 'STOCK_DISCREPANCY',
+      details: { products: discrepancies },
+      timestamp: new Date()
+    });
+  }
+
+  return { openingBalances: openings.length, discrepancies: discrepancies.length };
+};